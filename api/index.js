@@ -13,6 +13,12 @@ import branchesRoutes from '../routes/branches.js';
 import testTokenRoutes from '../routes/test-token.js';
 import superadminRoutes from '../routes/superadmin.js';
 import lessonPlansRoutes from '../routes/lessonPlans.js';
+import invitationsRoutes from '../routes/invitations.js';
+import guardiansRoutes from '../routes/guardians.js';
+import assignmentsRoutes from '../routes/assignments.js';
+import { getJwks } from '../lib/tokenService.js';
+import { publicRoute } from '../middleware/roleCheck.js';
+import { assertRoutePolicies } from '../lib/routePolicies.js';
 
 const app = express();
 
@@ -50,15 +56,18 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-School-Id']
 };
 
+// Trust the first proxy (Vercel) so req.ip is the client address - used by rate limiting
+app.set('trust proxy', 1);
+
 app.use(cors(corsOptions));
 app.use(express.json());
 
 // Health check endpoint
-app.get('/', (req, res) => {
+app.get('/', publicRoute, (req, res) => {
   res.json({ 
     message: 'Class Management System API',
     status: 'running',
@@ -73,7 +82,10 @@ app.get('/', (req, res) => {
       messages: '/api/messages',
       analytics: '/api/analytics',
       schools: '/api/schools',
-      branches: '/api/branches'
+      branches: '/api/branches',
+      invitations: '/api/invitations',
+      guardians: '/api/guardians',
+      assignments: '/api/assignments'
     }
   });
 });
@@ -92,6 +104,18 @@ app.use('/api/branches', branchesRoutes);
 app.use('/api/test', testTokenRoutes);
 app.use('/api/superadmin', superadminRoutes);
 app.use('/api/lesson-plans', lessonPlansRoutes);
+app.use('/api/invitations', invitationsRoutes);
+app.use('/api/guardians', guardiansRoutes);
+app.use('/api/assignments', assignmentsRoutes);
+
+// Public keys for verifying tokens issued by this API
+app.get('/.well-known/jwks.json', publicRoute, (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+// Refuse to start with a route that declares no access policy
+assertRoutePolicies(app);
 
 // 404 handler
 app.use((req, res) => {
@@ -1,15 +1,28 @@
 import prisma from '../lib/prisma.js';
+import { tenantWhere, assignTenant, getTenantContext } from '../lib/tenantContext.js';
+import { accessWhere } from '../lib/rowAccess.js';
+import { CONTACT_PREFERENCES } from '../lib/guardians.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+// Every query below is limited to the schools of the current request
+// (lib/tenantContext.js) and to the rows its role may reach (lib/rowAccess.js).
+// Other records look like they do not exist: reads return null/empty and
+// updates/deletes fail with P2025.
+
+// Errors the routes pass on to the client as they are
+const invalidReference = (message) => Object.assign(new Error(message), { status: 400 });
 
 // Students
 export const getStudents = async () => {
   return await prisma.student.findMany({
+    where: accessWhere('student'),
     orderBy: { createdAt: 'desc' }
   });
 };
 
 export const getStudentById = async (id) => {
-  return await prisma.student.findUnique({
-    where: { id: parseInt(id) }
+  return await prisma.student.findFirst({
+    where: accessWhere('student', { id: parseInt(id) })
   });
 };
 
@@ -38,6 +51,8 @@ export const addStudent = async (studentData) => {
       data.grade = String(studentData.grade).trim();
     }
     
+    Object.assign(data, await assignTenant(studentData, { create: true }));
+    
     console.log('Creating student with data:', JSON.stringify(data, null, 2));
     
     // Create the student
@@ -48,6 +63,11 @@ export const addStudent = async (studentData) => {
     console.log('Student created successfully:', result.id);
     return result;
   } catch (error) {
+    // School assignment errors already carry a status and message for the client
+    if (error.status) {
+      throw error;
+    }
+
     console.error('Error in addStudent:');
     console.error('  Error name:', error.name);
     console.error('  Error message:', error.message);
@@ -60,22 +80,24 @@ export const addStudent = async (studentData) => {
 };
 
 export const updateStudent = async (id, studentData) => {
+  const { schoolId, branchId, ...data } = studentData;
   return await prisma.student.update({
-    where: { id: parseInt(id) },
-    data: studentData
+    where: accessWhere('student', { id: parseInt(id) }),
+    data: { ...data, ...(await assignTenant({ schoolId, branchId })) }
   });
 };
 
 export const deleteStudent = async (id) => {
   // Prisma will automatically delete related enrollments due to onDelete: Cascade
   return await prisma.student.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('student', { id: parseInt(id) })
   });
 };
 
 // Classes
 export const getClasses = async () => {
   return await prisma.class.findMany({
+    where: accessWhere('class'),
     include: {
       teacher: {
         select: {
@@ -90,8 +112,8 @@ export const getClasses = async () => {
 };
 
 export const getClassById = async (id) => {
-  return await prisma.class.findUnique({
-    where: { id: parseInt(id) },
+  return await prisma.class.findFirst({
+    where: accessWhere('class', { id: parseInt(id) }),
     include: {
       teacher: {
         select: {
@@ -104,9 +126,18 @@ export const getClassById = async (id) => {
   });
 };
 
+// A class can only be given to a teacher the caller can see
+const checkClassTeacher = async (teacherId) => {
+  if (teacherId && !(await getTeacherById(teacherId))) {
+    throw invalidReference('Invalid teacher ID provided');
+  }
+};
+
 export const addClass = async (classData) => {
+  const { schoolId, branchId, ...data } = classData;
+  await checkClassTeacher(data.teacherId);
   return await prisma.class.create({
-    data: classData,
+    data: { ...data, ...(await assignTenant({ schoolId, branchId }, { create: true })) },
     include: {
       teacher: {
         select: {
@@ -120,9 +151,11 @@ export const addClass = async (classData) => {
 };
 
 export const updateClass = async (id, classData) => {
+  const { schoolId, branchId, ...data } = classData;
+  await checkClassTeacher(data.teacherId);
   return await prisma.class.update({
-    where: { id: parseInt(id) },
-    data: classData,
+    where: accessWhere('class', { id: parseInt(id) }),
+    data: { ...data, ...(await assignTenant({ schoolId, branchId })) },
     include: {
       teacher: {
         select: {
@@ -138,45 +171,49 @@ export const updateClass = async (id, classData) => {
 export const deleteClass = async (id) => {
   // Prisma will automatically delete related enrollments due to onDelete: Cascade
   return await prisma.class.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('class', { id: parseInt(id) })
   });
 };
 
 // Teachers
 export const getTeachers = async () => {
   return await prisma.teacher.findMany({
+    where: accessWhere('teacher'),
     orderBy: { createdAt: 'desc' }
   });
 };
 
 export const getTeacherById = async (id) => {
-  return await prisma.teacher.findUnique({
-    where: { id: parseInt(id) }
+  return await prisma.teacher.findFirst({
+    where: accessWhere('teacher', { id: parseInt(id) })
   });
 };
 
 export const addTeacher = async (teacherData) => {
+  const { schoolId, branchId, ...data } = teacherData;
   return await prisma.teacher.create({
-    data: teacherData
+    data: { ...data, ...(await assignTenant({ schoolId, branchId }, { create: true })) }
   });
 };
 
 export const updateTeacher = async (id, teacherData) => {
+  const { schoolId, branchId, ...data } = teacherData;
   return await prisma.teacher.update({
-    where: { id: parseInt(id) },
-    data: teacherData
+    where: accessWhere('teacher', { id: parseInt(id) }),
+    data: { ...data, ...(await assignTenant({ schoolId, branchId })) }
   });
 };
 
 export const deleteTeacher = async (id) => {
   return await prisma.teacher.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('teacher', { id: parseInt(id) })
   });
 };
 
 // Enrollments
 export const getEnrollments = async () => {
   return await prisma.enrollment.findMany({
+    where: accessWhere('enrollment'),
     include: {
       student: {
         select: {
@@ -198,8 +235,8 @@ export const getEnrollments = async () => {
 };
 
 export const getEnrollmentById = async (id) => {
-  return await prisma.enrollment.findUnique({
-    where: { id: parseInt(id) },
+  return await prisma.enrollment.findFirst({
+    where: accessWhere('enrollment', { id: parseInt(id) }),
     include: {
       student: {
         select: {
@@ -221,7 +258,7 @@ export const getEnrollmentById = async (id) => {
 
 export const getEnrollmentsByStudent = async (studentId) => {
   return await prisma.enrollment.findMany({
-    where: { studentId: parseInt(studentId) },
+    where: accessWhere('enrollment', { studentId: parseInt(studentId) }),
     include: {
       class: {
         select: {
@@ -237,7 +274,7 @@ export const getEnrollmentsByStudent = async (studentId) => {
 
 export const getEnrollmentsByClass = async (classId) => {
   return await prisma.enrollment.findMany({
-    where: { classId: parseInt(classId) },
+    where: accessWhere('enrollment', { classId: parseInt(classId) }),
     include: {
       student: {
         select: {
@@ -252,8 +289,11 @@ export const getEnrollmentsByClass = async (classId) => {
 };
 
 export const addEnrollment = async (enrollmentData) => {
-  // Check if student exists
-  const student = await getStudentById(enrollmentData.studentId);
+  // Check if student exists - any student of the school, not only the ones
+  // the caller's row rules show (a teacher enrolls students new to their classes)
+  const student = await prisma.student.findFirst({
+    where: tenantWhere('student', { id: parseInt(enrollmentData.studentId) })
+  });
   if (!student) {
     throw new Error('Student not found');
   }
@@ -263,6 +303,16 @@ export const addEnrollment = async (enrollmentData) => {
   if (!classItem) {
     throw new Error('Class not found');
   }
+
+  // The new enrollment must be one the caller can see: teachers enroll into their own classes
+  const context = getTenantContext();
+  if (context?.role === ROLES.TEACHER && classItem.teacherId !== context.teacherId) {
+    throw Object.assign(new Error('Teachers can only enroll students in their own classes'), { status: 403 });
+  }
+
+  if (student.schoolId && classItem.schoolId && student.schoolId !== classItem.schoolId) {
+    throw new Error('Student and class belong to different schools');
+  }
   
   // Prisma unique constraint will handle duplicate enrollments
   try {
@@ -298,16 +348,16 @@ export const addEnrollment = async (enrollmentData) => {
 
 export const deleteEnrollment = async (id) => {
   return await prisma.enrollment.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('enrollment', { id: parseInt(id) })
   });
 };
 
 export const deleteEnrollmentByStudentAndClass = async (studentId, classId) => {
   const enrollment = await prisma.enrollment.findFirst({
-    where: {
+    where: accessWhere('enrollment', {
       studentId: parseInt(studentId),
       classId: parseInt(classId)
-    }
+    })
   });
   
   if (!enrollment) {
@@ -319,9 +369,131 @@ export const deleteEnrollmentByStudentAndClass = async (studentId, classId) => {
   });
 };
 
+// Guardians
+// Only the children the caller may see are listed
+const guardianInclude = () => ({
+  students: {
+    where: { student: accessWhere('student') },
+    select: {
+      relationship: true,
+      student: {
+        select: {
+          id: true,
+          name: true,
+          email: true
+        }
+      }
+    }
+  }
+});
+
+const guardianData = (guardianData) => {
+  const data = {};
+
+  if (guardianData.name !== undefined) data.name = String(guardianData.name || '').trim();
+  if (guardianData.email !== undefined) data.email = guardianData.email ? String(guardianData.email).toLowerCase().trim() : null;
+  if (guardianData.phoneNumber !== undefined) data.phoneNumber = guardianData.phoneNumber || null;
+  if (guardianData.preferredContact !== undefined) {
+    if (!CONTACT_PREFERENCES.includes(guardianData.preferredContact)) {
+      throw invalidReference(`preferredContact must be one of: ${CONTACT_PREFERENCES.join(', ')}`);
+    }
+    data.preferredContact = guardianData.preferredContact;
+  }
+  if (guardianData.userId !== undefined) data.userId = guardianData.userId ? parseInt(guardianData.userId) : null;
+
+  return data;
+};
+
+export const getGuardians = async () => {
+  return await prisma.guardian.findMany({
+    where: accessWhere('guardian'),
+    include: guardianInclude(),
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+export const getGuardianById = async (id) => {
+  return await prisma.guardian.findFirst({
+    where: accessWhere('guardian', { id: parseInt(id) }),
+    include: guardianInclude()
+  });
+};
+
+export const addGuardian = async (data) => {
+  const guardian = guardianData(data);
+
+  if (!guardian.name) {
+    throw invalidReference('Name is required');
+  }
+  if (!guardian.email && !guardian.phoneNumber) {
+    throw invalidReference('Email or phone number is required');
+  }
+
+  // Children to link right away: [{ studentId, relationship }]
+  const students = data.students || [];
+  for (const { studentId } of students) {
+    if (!(await getStudentById(studentId))) {
+      throw invalidReference(`Student ${studentId} not found`);
+    }
+  }
+
+  return await prisma.guardian.create({
+    data: {
+      ...guardian,
+      ...(await assignTenant({ schoolId: data.schoolId, branchId: data.branchId }, { create: true })),
+      students: {
+        create: students.map(({ studentId, relationship }) => ({
+          studentId: parseInt(studentId),
+          relationship: relationship || null
+        }))
+      }
+    },
+    include: guardianInclude()
+  });
+};
+
+export const updateGuardian = async (id, data) => {
+  return await prisma.guardian.update({
+    where: accessWhere('guardian', { id: parseInt(id) }),
+    data: { ...guardianData(data), ...(await assignTenant({ schoolId: data.schoolId, branchId: data.branchId })) },
+    include: guardianInclude()
+  });
+};
+
+export const deleteGuardian = async (id) => {
+  // Prisma will automatically delete the links to students due to onDelete: Cascade
+  return await prisma.guardian.delete({
+    where: accessWhere('guardian', { id: parseInt(id) })
+  });
+};
+
+export const linkGuardianStudent = async (guardianId, studentId, relationship) => {
+  if (!(await getStudentById(studentId))) {
+    throw invalidReference('Student not found');
+  }
+
+  const key = { studentId: parseInt(studentId), guardianId: parseInt(guardianId) };
+  return await prisma.studentGuardian.upsert({
+    where: { studentId_guardianId: key },
+    create: { ...key, relationship: relationship || null },
+    update: { relationship: relationship || null }
+  });
+};
+
+export const unlinkGuardianStudent = async (guardianId, studentId) => {
+  return await prisma.studentGuardian.deleteMany({
+    where: {
+      guardianId: parseInt(guardianId),
+      studentId: parseInt(studentId),
+      student: accessWhere('student')
+    }
+  });
+};
+
 // Schools
 export const getSchools = async () => {
   return await prisma.school.findMany({
+    where: accessWhere('school'),
     include: {
       branches: {
         select: {
@@ -336,8 +508,8 @@ export const getSchools = async () => {
 };
 
 export const getSchoolById = async (id) => {
-  return await prisma.school.findUnique({
-    where: { id: parseInt(id) },
+  return await prisma.school.findFirst({
+    where: accessWhere('school', { id: parseInt(id) }),
     include: {
       branches: true
     }
@@ -361,6 +533,12 @@ export const addSchool = async (schoolData) => {
   if (schoolData.principal) data.principal = String(schoolData.principal).trim();
   if (schoolData.description) data.description = String(schoolData.description).trim();
 
+  // Whoever creates a school (other than a superadmin) becomes a member of it
+  const context = getTenantContext();
+  if (context && !context.unrestricted && context.role !== ROLES.SUPERADMIN) {
+    data.memberships = { create: { userId: context.userId, role: context.role } };
+  }
+
   return await prisma.school.create({
     data: data,
     include: {
@@ -381,7 +559,7 @@ export const updateSchool = async (id, schoolData) => {
   if (schoolData.description !== undefined) data.description = schoolData.description ? String(schoolData.description).trim() : null;
 
   return await prisma.school.update({
-    where: { id: parseInt(id) },
+    where: accessWhere('school', { id: parseInt(id) }),
     data: data,
     include: {
       branches: true
@@ -390,15 +568,17 @@ export const updateSchool = async (id, schoolData) => {
 };
 
 export const deleteSchool = async (id) => {
-  // Prisma will automatically delete related branches due to onDelete: Cascade
+  // Prisma will automatically delete related branches and memberships due to onDelete: Cascade.
+  // Schools that still have students, teachers or classes cannot be deleted (P2003).
   return await prisma.school.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('school', { id: parseInt(id) })
   });
 };
 
 // Branches
 export const getBranches = async () => {
   return await prisma.branch.findMany({
+    where: accessWhere('branch'),
     include: {
       school: {
         select: {
@@ -413,8 +593,8 @@ export const getBranches = async () => {
 };
 
 export const getBranchById = async (id) => {
-  return await prisma.branch.findUnique({
-    where: { id: parseInt(id) },
+  return await prisma.branch.findFirst({
+    where: accessWhere('branch', { id: parseInt(id) }),
     include: {
       school: true
     }
@@ -423,7 +603,7 @@ export const getBranchById = async (id) => {
 
 export const getBranchesBySchool = async (schoolId) => {
   return await prisma.branch.findMany({
-    where: { schoolId: parseInt(schoolId) },
+    where: accessWhere('branch', { schoolId: parseInt(schoolId) }),
     include: {
       school: {
         select: {
@@ -451,7 +631,7 @@ export const addBranch = async (branchData) => {
   // Verify school exists
   const school = await getSchoolById(data.schoolId);
   if (!school) {
-    throw new Error('School not found');
+    throw invalidReference('School not found');
   }
 
   // Add optional fields
@@ -491,12 +671,23 @@ export const updateBranch = async (id, branchData) => {
   if (branchData.schoolId) {
     const school = await getSchoolById(branchData.schoolId);
     if (!school) {
-      throw new Error('School not found');
+      throw invalidReference('School not found');
+    }
+
+    // Its students, teachers and classes would be left in the old school
+    const branchId = parseInt(id);
+    const [students, teachers, classes] = await Promise.all([
+      prisma.student.count({ where: { branchId, schoolId: { not: data.schoolId } } }),
+      prisma.teacher.count({ where: { branchId, schoolId: { not: data.schoolId } } }),
+      prisma.class.count({ where: { branchId, schoolId: { not: data.schoolId } } })
+    ]);
+    if (students + teachers + classes > 0) {
+      throw invalidReference('The branch still has students, teachers or classes and cannot be moved to another school');
     }
   }
 
   return await prisma.branch.update({
-    where: { id: parseInt(id) },
+    where: accessWhere('branch', { id: parseInt(id) }),
     data: data,
     include: {
       school: {
@@ -512,7 +703,97 @@ export const updateBranch = async (id, branchData) => {
 
 export const deleteBranch = async (id) => {
   return await prisma.branch.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('branch', { id: parseInt(id) })
+  });
+};
+
+// School memberships
+const MEMBER_INCLUDE = {
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      role: true
+    }
+  },
+  branch: {
+    select: {
+      id: true,
+      name: true,
+      code: true
+    }
+  }
+};
+
+export const getSchoolMembers = async (schoolId) => {
+  return await prisma.schoolMembership.findMany({
+    where: { schoolId: parseInt(schoolId), school: accessWhere('school') },
+    include: MEMBER_INCLUDE,
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+export const getSchoolMember = async (schoolId, userId) => {
+  return await prisma.schoolMembership.findFirst({
+    where: { schoolId: parseInt(schoolId), userId: parseInt(userId), school: accessWhere('school') },
+    include: MEMBER_INCLUDE
+  });
+};
+
+// The branch must belong to the school, and branch members can only hand out their own branch
+const checkMemberBranch = async (schoolId, branchId) => {
+  if (branchId) {
+    const branch = await getBranchById(branchId);
+    if (!branch || branch.schoolId !== schoolId) {
+      throw invalidReference('The branch does not belong to this school');
+    }
+  }
+
+  const context = getTenantContext();
+  const own = context?.memberships.find((entry) => entry.schoolId === schoolId);
+  if (!context?.unrestricted && own?.branchId && branchId !== own.branchId) {
+    throw Object.assign(new Error('You can only add members to your own branch'), { status: 403 });
+  }
+};
+
+export const addSchoolMember = async (memberData) => {
+  const schoolId = parseInt(memberData.schoolId);
+  const userId = parseInt(memberData.userId);
+  const branchId = memberData.branchId ? parseInt(memberData.branchId) : null;
+
+  const user = await prisma.user.findFirst({ where: accessWhere('user', { id: userId }) });
+  if (!user) {
+    throw invalidReference('User not found');
+  }
+
+  await checkMemberBranch(schoolId, branchId);
+
+  return await prisma.schoolMembership.create({
+    data: { schoolId, userId, branchId, role: memberData.role },
+    include: MEMBER_INCLUDE
+  });
+};
+
+export const updateSchoolMember = async (schoolId, userId, memberData) => {
+  const data = {};
+
+  if (memberData.role) data.role = memberData.role;
+  if (memberData.branchId !== undefined) {
+    data.branchId = memberData.branchId ? parseInt(memberData.branchId) : null;
+    await checkMemberBranch(parseInt(schoolId), data.branchId);
+  }
+
+  return await prisma.schoolMembership.update({
+    where: { userId_schoolId: { userId: parseInt(userId), schoolId: parseInt(schoolId) }, school: accessWhere('school') },
+    data: data,
+    include: MEMBER_INCLUDE
+  });
+};
+
+export const removeSchoolMember = async (schoolId, userId) => {
+  return await prisma.schoolMembership.delete({
+    where: { userId_schoolId: { userId: parseInt(userId), schoolId: parseInt(schoolId) }, school: accessWhere('school') }
   });
 };
 
@@ -533,7 +814,7 @@ export const getLessonPlans = async (filters = {}) => {
   }
   
   return await prisma.lessonPlan.findMany({
-    where,
+    where: accessWhere('lessonPlan', where),
     include: {
       teacher: {
         select: {
@@ -555,8 +836,8 @@ export const getLessonPlans = async (filters = {}) => {
 };
 
 export const getLessonPlanById = async (id) => {
-  return await prisma.lessonPlan.findUnique({
-    where: { id: parseInt(id) },
+  return await prisma.lessonPlan.findFirst({
+    where: accessWhere('lessonPlan', { id: parseInt(id) }),
     include: {
       teacher: {
         select: {
@@ -587,6 +868,11 @@ export const addLessonPlan = async (lessonPlanData) => {
   if (!data.title || !data.teacherId) {
     throw new Error('Title and teacher ID are required');
   }
+
+  // The teacher (and class) must be visible to the caller
+  if (!(await getTeacherById(data.teacherId))) {
+    throw invalidReference('Teacher not found');
+  }
   
   // Optional fields
   if (lessonPlanData.description) {
@@ -599,6 +885,9 @@ export const addLessonPlan = async (lessonPlanData) => {
   
   if (lessonPlanData.classId) {
     data.classId = parseInt(lessonPlanData.classId);
+    if (!(await getClassById(data.classId))) {
+      throw invalidReference('Class not found');
+    }
   }
   
   if (lessonPlanData.objectives) {
@@ -672,6 +961,9 @@ export const updateLessonPlan = async (id, lessonPlanData) => {
   
   if (lessonPlanData.classId !== undefined) {
     data.classId = lessonPlanData.classId ? parseInt(lessonPlanData.classId) : null;
+    if (data.classId && !(await getClassById(data.classId))) {
+      throw invalidReference('Class not found');
+    }
   }
   
   if (lessonPlanData.objectives !== undefined) {
@@ -695,7 +987,7 @@ export const updateLessonPlan = async (id, lessonPlanData) => {
   }
   
   return await prisma.lessonPlan.update({
-    where: { id: parseInt(id) },
+    where: accessWhere('lessonPlan', { id: parseInt(id) }),
     data,
     include: {
       teacher: {
@@ -718,7 +1010,7 @@ export const updateLessonPlan = async (id, lessonPlanData) => {
 
 export const deleteLessonPlan = async (id) => {
   return await prisma.lessonPlan.delete({
-    where: { id: parseInt(id) }
+    where: accessWhere('lessonPlan', { id: parseInt(id) })
   });
 };
 
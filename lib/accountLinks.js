@@ -0,0 +1,43 @@
+// Links between User accounts and Teacher/Student/Guardian records.
+// A user can be linked to at most one record of each kind. Only accounts the
+// caller can see (members of their schools) can be linked.
+
+import prisma from './prisma.js';
+import { tenantWhere } from './tenantContext.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+const ADMIN_ROLES = [ROLES.SUPERADMIN, ROLES.ADMIN];
+
+/**
+ * Validate linking a Teacher/Student/Guardian record (model: 'teacher' |
+ * 'student' | 'guardian') to a user. Returns an error message, or null when the
+ * link is allowed.
+ */
+export async function validateUserLink(model, recordId, userId) {
+  const user = await prisma.user.findFirst({
+    where: tenantWhere('user', { id: userId }),
+    select: { id: true, role: true, memberships: { select: { role: true } }, [model]: { select: { id: true } } }
+  });
+
+  if (!user) {
+    return 'User not found';
+  }
+
+  // A guardian account acts as a guardian member of the children's schools,
+  // so it must not hold another role at a school
+  if (model === 'guardian' && user.memberships.some((membership) => membership.role !== ROLES.GUARDIAN)) {
+    return 'Only accounts with the guardian role (or without a school) can be linked to a guardian';
+  }
+
+  // Admin accounts are never tied to a teacher or student record
+  const roles = [user.role, ...user.memberships.map((membership) => membership.role)];
+  if (model !== 'guardian' && roles.some((role) => ADMIN_ROLES.includes(role))) {
+    return `Admin accounts cannot be linked to a ${model}`;
+  }
+
+  if (user[model] && user[model].id !== recordId) {
+    return `User is already linked to another ${model}`;
+  }
+
+  return null;
+}
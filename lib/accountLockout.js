@@ -0,0 +1,114 @@
+// Account lockout and login-attempt history.
+// After LOCKOUT_THRESHOLD consecutive failed logins an account is locked for
+// LOCKOUT_DURATION_MINUTES. Every attempt (including ones for unknown emails)
+// is written to the LoginAttempt table.
+
+import prisma from './prisma.js';
+
+// Consecutive failures before the account is locked (default 5)
+export const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+
+// How long a locked account stays locked (default 15 minutes)
+const LOCKOUT_DURATION = (parseInt(process.env.LOCKOUT_DURATION_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Record a login attempt. Never throws - history must not break login.
+ */
+export async function recordLoginAttempt({ email, userId = null, success, reason = null, req }) {
+  try {
+    await prisma.loginAttempt.create({
+      data: {
+        email,
+        userId,
+        success,
+        reason,
+        ipAddress: req?.ip || null,
+        userAgent: req?.headers?.['user-agent']?.substring(0, 255) || null
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error.message);
+  }
+}
+
+/**
+ * Check whether an account is currently locked
+ */
+export function isAccountLocked(user) {
+  return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+}
+
+/**
+ * Count a failed login and lock the account once the threshold is reached.
+ * Returns the updated user.
+ */
+export async function registerFailedLogin(user) {
+  // A lock that has run out starts a fresh count
+  const previousFailures = user.lockedUntil && !isAccountLocked(user) ? 0 : user.failedLoginAttempts;
+  const failedLoginAttempts = previousFailures + 1;
+  const shouldLock = failedLoginAttempts >= LOCKOUT_THRESHOLD;
+
+  return await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts,
+      lockedUntil: shouldLock ? new Date(Date.now() + LOCKOUT_DURATION) : user.lockedUntil
+    }
+  });
+}
+
+/**
+ * Reset the failure counter after a successful login
+ */
+export async function registerSuccessfulLogin(user) {
+  return await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: new Date()
+    }
+  });
+}
+
+/**
+ * Unlock an account (superadmin action or password reset)
+ */
+export async function unlockAccount(userId) {
+  return await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lockedUntil: null
+    },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      failedLoginAttempts: true,
+      lockedUntil: true
+    }
+  });
+}
+
+/**
+ * Get login attempts for a user, most recent first
+ */
+export async function getLoginAttempts(where = {}, limit = 50) {
+  return await prisma.loginAttempt.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+    select: {
+      id: true,
+      userId: true,
+      email: true,
+      success: true,
+      reason: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true
+    }
+  });
+}
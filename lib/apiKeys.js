@@ -0,0 +1,132 @@
+// Personal API keys.
+// Keys look like cms_<prefix>_<secret>. The prefix is stored in clear so a key
+// can be recognised in listings; the whole key is stored as a sha256 hash.
+// A key acts as its owner but only for the permissions in its scopes.
+
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { PERMISSIONS, hasPermission } from '../middleware/roleCheck.js';
+
+export const API_KEY_PREFIX = 'cms_';
+
+// Keys per user, to keep leaked-key hunting manageable
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER) || 10;
+
+// lastUsedAt is written at most once a minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+export const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * Whether a bearer token is an API key rather than a JWT
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Check requested scopes: every one must be a known permission the user's role has.
+ * Returns the list of invalid scopes (empty when all are fine).
+ */
+export function invalidScopes(scopes, role) {
+  return scopes.filter((scope) => !PERMISSIONS[scope] || !hasPermission(role, scope));
+}
+
+/**
+ * Create an API key. Returns the stored key and the raw key (only available now).
+ */
+export async function createApiKey(user, { name, scopes, expiresAt = null }) {
+  const activeKeys = await prisma.apiKey.count({
+    where: { userId: user.id, revokedAt: null }
+  });
+  if (activeKeys >= MAX_KEYS_PER_USER) {
+    return { error: `You can have at most ${MAX_KEYS_PER_USER} active API keys` };
+  }
+
+  const prefix = API_KEY_PREFIX + crypto.randomBytes(4).toString('hex');
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId: user.id,
+      name,
+      prefix,
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    },
+    select: API_KEY_SELECT
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Resolve a raw API key to { apiKey }, or { error } when it is unknown,
+ * revoked or expired
+ */
+export async function verifyApiKey(key, req = null) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashKey(key) }
+  });
+
+  if (!apiKey) {
+    return { error: 'Invalid API key' };
+  }
+
+  if (apiKey.revokedAt) {
+    return { error: 'API key has been revoked' };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+    return { error: 'API key has expired' };
+  }
+
+  // Last-used tracking must never fail the request
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: now, lastUsedIp: req?.ip || null }
+    }).catch((error) => {
+      console.error('Failed to record API key usage:', error.message);
+    });
+  }
+
+  return { apiKey };
+}
+
+/**
+ * API keys of a user, newest first
+ */
+export async function listApiKeys(userId) {
+  return await prisma.apiKey.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    select: API_KEY_SELECT
+  });
+}
+
+/**
+ * Revoke a key. Pass userId to only revoke the user's own key.
+ * Returns false if there was no such active key.
+ */
+export async function revokeApiKey(id, userId = null) {
+  const result = await prisma.apiKey.updateMany({
+    where: { id, revokedAt: null, ...(userId && { userId }) },
+    data: { revokedAt: new Date() }
+  });
+  return result.count > 0;
+}
@@ -0,0 +1,512 @@
+// Assignments (homework, projects...) set for a class, optionally from one of
+// its lesson plans, and the work students submit for them.
+//
+// - Students submit text and/or attachments (files stored elsewhere, linked by
+//   URL). Resubmitting replaces the submission until it is graded.
+// - Work handed in after dueAt is late. It is refused when the assignment does
+//   not allow late work or lateUntil has passed; otherwise latePenalty percent
+//   of the score is deducted per started day late (finalScore).
+// - Teachers set and grade assignments of their own classes; students and
+//   guardians only see published ones (row rules in lib/rowAccess.js).
+
+import prisma from './prisma.js';
+import { accessWhere } from './rowAccess.js';
+import { getTenantContext } from './tenantContext.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+export const ASSIGNMENT_STATUSES = ['draft', 'published'];
+
+const MAX_ATTACHMENTS = 10;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const ASSIGNMENT_INCLUDE = {
+  class: { select: { id: true, name: true, code: true } },
+  lessonPlan: { select: { id: true, title: true, date: true } }
+};
+
+const SUBMISSION_INCLUDE = {
+  attachments: { select: { id: true, name: true, url: true, contentType: true, size: true } },
+  enrollment: { select: { student: { select: { id: true, name: true, email: true } } } },
+  gradedBy: { select: { id: true, name: true } }
+};
+
+/**
+ * Percent deducted from a submission's score for lateness
+ */
+export function latePenaltyPercent(assignment, submittedAt) {
+  const lateBy = submittedAt - assignment.dueAt;
+  if (lateBy <= 0 || !assignment.latePenalty) {
+    return 0;
+  }
+  return Math.min(100, Math.ceil(lateBy / DAY) * assignment.latePenalty);
+}
+
+const formatSubmission = ({ enrollment, ...submission }, assignment) => {
+  const penalty = latePenaltyPercent(assignment, submission.submittedAt);
+  return {
+    ...submission,
+    student: enrollment.student,
+    penalty,
+    finalScore: submission.score === null ? null : round(submission.score * (1 - penalty / 100))
+  };
+};
+
+/**
+ * Whether an assignment still accepts work at a moment
+ */
+export function acceptsSubmissions(assignment, at = new Date()) {
+  if (at <= assignment.dueAt) {
+    return true;
+  }
+  return assignment.allowLate && (!assignment.lateUntil || at <= assignment.lateUntil);
+}
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Check the fields of an assignment body. With partial, missing fields are left
+ * out (classId cannot change). Returns { data } or { error }.
+ */
+export function parseAssignment(body, { partial = false } = {}) {
+  const data = {};
+  const given = (key) => body[key] !== undefined;
+
+  if (!partial) {
+    data.classId = parseInt(body.classId);
+    if (isNaN(data.classId)) return { error: 'classId is required' };
+  }
+  if (given('title') || !partial) {
+    data.title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!data.title) return { error: 'title is required' };
+  }
+  if (given('instructions')) {
+    data.instructions = body.instructions ? String(body.instructions).trim() : null;
+  }
+  if (given('lessonPlanId')) {
+    data.lessonPlanId = body.lessonPlanId === null || body.lessonPlanId === '' ? null : parseInt(body.lessonPlanId);
+    if (Number.isNaN(data.lessonPlanId)) return { error: 'lessonPlanId must be a number' };
+  }
+  if (given('dueAt') || !partial) {
+    data.dueAt = body.dueAt ? parseDate(body.dueAt) : null;
+    if (!data.dueAt) return { error: 'dueAt must be a date' };
+  }
+  if (given('maxScore')) {
+    data.maxScore = body.maxScore === null || body.maxScore === '' ? null : Number(body.maxScore);
+    if (data.maxScore !== null && (isNaN(data.maxScore) || data.maxScore <= 0)) {
+      return { error: 'maxScore must be a number above 0 (or null for work that is not scored)' };
+    }
+  }
+  if (given('allowLate')) {
+    data.allowLate = Boolean(body.allowLate);
+  }
+  if (given('lateUntil')) {
+    data.lateUntil = body.lateUntil ? parseDate(body.lateUntil) : null;
+    if (body.lateUntil && !data.lateUntil) return { error: 'lateUntil must be a date' };
+  }
+  if (given('latePenalty')) {
+    data.latePenalty = Number(body.latePenalty);
+    if (body.latePenalty === null || isNaN(data.latePenalty) || data.latePenalty < 0 || data.latePenalty > 100) {
+      return { error: 'latePenalty must be a percentage between 0 and 100' };
+    }
+  }
+  if (given('status')) {
+    data.status = body.status;
+    if (!ASSIGNMENT_STATUSES.includes(data.status)) {
+      return { error: `Invalid status. Must be one of: ${ASSIGNMENT_STATUSES.join(', ')}` };
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Check the attachments of a submission body: [{ name, url, contentType, size }].
+ * Returns { attachments } or { error }.
+ */
+export function parseAttachments(attachments = []) {
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+    return { error: `attachments must be an array of at most ${MAX_ATTACHMENTS} { name, url, contentType, size }` };
+  }
+
+  const parsed = [];
+  for (const attachment of attachments) {
+    const name = typeof attachment?.name === 'string' ? attachment.name.trim() : '';
+    if (!name || name.length > 255) {
+      return { error: 'Each attachment needs a name of at most 255 characters' };
+    }
+
+    let url;
+    try {
+      url = new URL(attachment.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return { error: `The URL of "${name}" must be an http(s) link` };
+    }
+
+    const size = attachment.size === undefined || attachment.size === null ? null : parseInt(attachment.size);
+    if (Number.isNaN(size) || size < 0) {
+      return { error: `The size of "${name}" must be a number of bytes` };
+    }
+
+    parsed.push({
+      name,
+      url: url.toString(),
+      contentType: attachment.contentType ? String(attachment.contentType).trim() : null,
+      size
+    });
+  }
+
+  return { attachments: parsed };
+}
+
+/**
+ * The class if the caller may manage its assignments. Returns { classItem } or { error, status }.
+ */
+async function manageableClass(classId) {
+  const classItem = await prisma.class.findFirst({
+    where: accessWhere('class', { id: classId }),
+    select: { id: true, teacherId: true }
+  });
+  if (!classItem) {
+    return { error: 'Class not found', status: 400 };
+  }
+
+  const context = getTenantContext();
+  if (context?.role === ROLES.TEACHER && classItem.teacherId !== context.teacherId) {
+    return { error: 'Teachers can only manage assignments of their own classes', status: 403 };
+  }
+  return { classItem };
+}
+
+/**
+ * Check the dates and lesson plan of an assignment's final data. Returns an error message or null.
+ */
+async function checkAssignment({ classId, lessonPlanId, dueAt, lateUntil }) {
+  if (lateUntil && lateUntil < dueAt) {
+    return 'lateUntil must not be before dueAt';
+  }
+
+  if (lessonPlanId) {
+    const lessonPlan = await prisma.lessonPlan.findFirst({
+      where: accessWhere('lessonPlan', { id: lessonPlanId, classId }),
+      select: { id: true }
+    });
+    if (!lessonPlan) {
+      return 'Lesson plan not found in this class';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Assignments the caller may see (optionally of one class), by due date, with
+ * how many submissions they have
+ */
+export async function listAssignments({ classId } = {}) {
+  const assignments = await prisma.assignment.findMany({
+    where: accessWhere('assignment', classId ? { classId } : {}),
+    include: {
+      ...ASSIGNMENT_INCLUDE,
+      _count: { select: { submissions: { where: accessWhere('submission') } } }
+    },
+    orderBy: { dueAt: 'asc' }
+  });
+
+  return assignments.map(({ _count, ...assignment }) => ({ ...assignment, submissionCount: _count.submissions }));
+}
+
+/**
+ * One assignment the caller may see, or null
+ */
+export async function getAssignment(id) {
+  return prisma.assignment.findFirst({
+    where: accessWhere('assignment', { id }),
+    include: ASSIGNMENT_INCLUDE
+  });
+}
+
+/**
+ * Create an assignment. Returns { assignment } or { error, status }.
+ */
+export async function createAssignment(body, userId) {
+  const parsed = parseAssignment(body);
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  const { error, status } = await manageableClass(parsed.data.classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const invalid = await checkAssignment(parsed.data);
+  if (invalid) {
+    return { error: invalid, status: 400 };
+  }
+
+  const assignment = await prisma.assignment.create({
+    data: { ...parsed.data, createdById: userId },
+    include: ASSIGNMENT_INCLUDE
+  });
+  return { assignment };
+}
+
+/**
+ * Update an assignment. Returns { assignment } or { error, status }.
+ */
+export async function updateAssignment(id, body) {
+  const existing = await prisma.assignment.findFirst({ where: accessWhere('assignment', { id }) });
+  if (!existing) {
+    return { error: 'Assignment not found', status: 404 };
+  }
+
+  const { error, status } = await manageableClass(existing.classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const parsed = parseAssignment(body, { partial: true });
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  if (parsed.data.maxScore !== undefined) {
+    const above = await prisma.submission.count({
+      where: parsed.data.maxScore === null
+        ? { assignmentId: id, score: { not: null } }
+        : { assignmentId: id, score: { gt: parsed.data.maxScore } }
+    });
+    if (above > 0) {
+      return { error: `${above} graded submission(s) do not fit the new maxScore. Correct them first`, status: 400 };
+    }
+  }
+
+  const invalid = await checkAssignment({ ...existing, ...parsed.data });
+  if (invalid) {
+    return { error: invalid, status: 400 };
+  }
+
+  const assignment = await prisma.assignment.update({
+    where: { id },
+    data: parsed.data,
+    include: ASSIGNMENT_INCLUDE
+  });
+  return { assignment };
+}
+
+/**
+ * Delete an assignment with its submissions. Returns { assignment } or { error, status }.
+ */
+export async function deleteAssignment(id) {
+  const existing = await prisma.assignment.findFirst({ where: accessWhere('assignment', { id }) });
+  if (!existing) {
+    return { error: 'Assignment not found', status: 404 };
+  }
+
+  const { error, status } = await manageableClass(existing.classId);
+  if (error) {
+    return { error, status };
+  }
+
+  await prisma.assignment.delete({ where: { id } });
+  return { assignment: existing };
+}
+
+/**
+ * Submissions of an assignment the caller may see, and the visible enrolled
+ * students who have not submitted yet. Returns { submissions, missing } or { error, status }.
+ */
+export async function listSubmissions(assignmentId) {
+  const assignment = await prisma.assignment.findFirst({ where: accessWhere('assignment', { id: assignmentId }) });
+  if (!assignment) {
+    return { error: 'Assignment not found', status: 404 };
+  }
+
+  const [submissions, enrollments] = await Promise.all([
+    prisma.submission.findMany({
+      where: accessWhere('submission', { assignmentId }),
+      include: SUBMISSION_INCLUDE,
+      orderBy: { submittedAt: 'asc' }
+    }),
+    prisma.enrollment.findMany({
+      where: accessWhere('enrollment', { classId: assignment.classId, submissions: { none: { assignmentId } } }),
+      include: { student: { select: { id: true, name: true, email: true } } },
+      orderBy: { student: { name: 'asc' } }
+    })
+  ]);
+
+  return {
+    submissions: submissions.map((submission) => formatSubmission(submission, assignment)),
+    missing: enrollments.map((enrollment) => enrollment.student)
+  };
+}
+
+/**
+ * Hand in (or replace) the calling student's work: { text, attachments }.
+ * Returns { submission } or { error, status }.
+ */
+export async function submitWork(assignmentId, { text, attachments }) {
+  const context = getTenantContext();
+  if (!context?.studentId) {
+    return { error: 'Your account is not linked to a student record', status: 403 };
+  }
+
+  const assignment = await prisma.assignment.findFirst({
+    where: accessWhere('assignment', { id: assignmentId, status: 'published' })
+  });
+  if (!assignment) {
+    return { error: 'Assignment not found', status: 404 };
+  }
+
+  const enrollment = await prisma.enrollment.findFirst({
+    where: accessWhere('enrollment', { studentId: context.studentId, classId: assignment.classId }),
+    select: { id: true }
+  });
+  if (!enrollment) {
+    return { error: 'You are not enrolled in this class', status: 403 };
+  }
+
+  const parsed = parseAttachments(attachments);
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  const content = text ? String(text).trim() : null;
+  if (!content && parsed.attachments.length === 0) {
+    return { error: 'Submit some text and/or attachments', status: 400 };
+  }
+
+  const now = new Date();
+  if (!acceptsSubmissions(assignment, now)) {
+    return {
+      error: assignment.allowLate ? 'Late submissions for this assignment are closed' : 'The due date has passed',
+      status: 400
+    };
+  }
+
+  const existing = await prisma.submission.findUnique({
+    where: { assignmentId_enrollmentId: { assignmentId, enrollmentId: enrollment.id } }
+  });
+  if (existing?.gradedAt) {
+    return { error: 'This work has already been graded', status: 409 };
+  }
+
+  const fields = { text: content, submittedAt: now, late: now > assignment.dueAt };
+
+  const submission = await prisma.$transaction(async (tx) => {
+    if (existing) {
+      await tx.submissionAttachment.deleteMany({ where: { submissionId: existing.id } });
+    }
+
+    return tx.submission.upsert({
+      where: { assignmentId_enrollmentId: { assignmentId, enrollmentId: enrollment.id } },
+      create: { assignmentId, enrollmentId: enrollment.id, ...fields, attachments: { create: parsed.attachments } },
+      update: { ...fields, attachments: { create: parsed.attachments } },
+      include: SUBMISSION_INCLUDE
+    });
+  });
+
+  return { submission: formatSubmission(submission, assignment) };
+}
+
+/**
+ * Grade a submission with { score, feedback }; a field left out keeps its value.
+ * Returns { submission } or { error, status }.
+ */
+export async function gradeSubmission(assignmentId, submissionId, { score, feedback }, userId) {
+  const assignment = await prisma.assignment.findFirst({ where: accessWhere('assignment', { id: assignmentId }) });
+  if (!assignment) {
+    return { error: 'Assignment not found', status: 404 };
+  }
+
+  const { error, status } = await manageableClass(assignment.classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const existing = await prisma.submission.findFirst({
+    where: accessWhere('submission', { id: submissionId, assignmentId })
+  });
+  if (!existing) {
+    return { error: 'Submission not found', status: 404 };
+  }
+
+  if (score === undefined && feedback === undefined) {
+    return { error: 'Provide a score and/or feedback', status: 400 };
+  }
+
+  // Only the fields in the body change; null clears one
+  const data = { gradedAt: new Date(), gradedById: userId };
+
+  if (score !== undefined) {
+    const points = score === null || score === '' ? null : Number(score);
+    if (points !== null) {
+      if (assignment.maxScore === null) {
+        return { error: 'This assignment is not scored. Give feedback only', status: 400 };
+      }
+      if (isNaN(points) || points < 0 || points > assignment.maxScore) {
+        return { error: `score must be between 0 and ${assignment.maxScore}`, status: 400 };
+      }
+    }
+    data.score = points;
+  }
+
+  if (feedback !== undefined) {
+    data.feedback = feedback ? String(feedback).trim() : null;
+  }
+
+  const submission = await prisma.submission.update({
+    where: { id: submissionId },
+    data,
+    include: SUBMISSION_INCLUDE
+  });
+
+  return { submission: formatSubmission(submission, assignment) };
+}
+
+/**
+ * Published assignments across a student's classes, by due date, with the
+ * student's submission and a state: pending, overdue, submitted or graded.
+ * Without all, only work not handed in yet (pending and overdue).
+ */
+export async function dueWork(studentId, { all = false } = {}) {
+  const assignments = await prisma.assignment.findMany({
+    where: accessWhere('assignment', {
+      status: 'published',
+      class: { enrollments: { some: { studentId } } }
+    }),
+    include: {
+      ...ASSIGNMENT_INCLUDE,
+      submissions: {
+        where: accessWhere('submission', { enrollment: { studentId } }),
+        include: SUBMISSION_INCLUDE
+      }
+    },
+    orderBy: { dueAt: 'asc' }
+  });
+
+  const now = new Date();
+
+  const work = assignments.map(({ submissions, ...assignment }) => {
+    const submission = submissions[0] ? formatSubmission(submissions[0], assignment) : null;
+    let state = 'pending';
+    if (submission) {
+      state = submission.gradedAt ? 'graded' : 'submitted';
+    } else if (now > assignment.dueAt) {
+      state = 'overdue';
+    }
+
+    return { ...assignment, state, open: acceptsSubmissions(assignment, now), submission };
+  });
+
+  return all ? work : work.filter((entry) => !entry.submission);
+}
@@ -0,0 +1,325 @@
+// Daily attendance. A class's register for a day (and period) is an
+// AttendanceSession with one AttendanceRecord per enrolled student. Teachers
+// take it for their own classes; corrections to a record after it was first
+// marked are kept as AttendanceChange rows (edit history).
+//
+// Dates are calendar days ("2026-10-19"), stored without a time.
+// Every query goes through accessWhere(), so the school filter and the row
+// rules (students and guardians: own/children's records) apply here too.
+
+import prisma from './prisma.js';
+import { accessWhere } from './rowAccess.js';
+import { getTenantContext } from './tenantContext.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const USER_SUMMARY = { select: { id: true, name: true } };
+
+/**
+ * Parse a "YYYY-MM-DD" day. Returns a Date (UTC midnight) or null if invalid.
+ */
+export function parseAttendanceDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+}
+
+export const formatAttendanceDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parse the optional ?from/?to range of a request. Returns { range } (a Prisma
+ * date filter, or undefined) or { error }.
+ */
+export function parseDateRange({ from, to } = {}) {
+  const range = {};
+  if (from) {
+    range.gte = parseAttendanceDate(from);
+    if (!range.gte) return { error: 'from must be a date (YYYY-MM-DD)' };
+  }
+  if (to) {
+    range.lte = parseAttendanceDate(to);
+    if (!range.lte) return { error: 'to must be a date (YYYY-MM-DD)' };
+  }
+  return { range: from || to ? range : undefined };
+}
+
+/**
+ * Count records per status
+ */
+export function summarizeStatuses(statuses) {
+  const summary = Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [status, 0]));
+  for (const status of statuses) {
+    summary[status] = (summary[status] || 0) + 1;
+  }
+  return summary;
+}
+
+const findClass = (classId) => prisma.class.findFirst({
+  where: accessWhere('class', { id: classId }),
+  select: { id: true, name: true, code: true, teacherId: true }
+});
+
+/**
+ * Attendance sessions of a class, newest first, with a count per status.
+ * Returns { class, sessions } or { error, status }.
+ */
+export async function listSessions(classId, { range } = {}) {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const sessions = await prisma.attendanceSession.findMany({
+    where: accessWhere('attendanceSession', { classId, ...(range && { date: range }) }),
+    include: {
+      takenBy: USER_SUMMARY,
+      records: { where: accessWhere('attendanceRecord'), select: { status: true } }
+    },
+    orderBy: [{ date: 'desc' }, { period: 'asc' }]
+  });
+
+  return {
+    class: classItem,
+    sessions: sessions.map(({ records, ...session }) => ({
+      ...session,
+      date: formatAttendanceDate(session.date),
+      summary: summarizeStatuses(records.map((record) => record.status))
+    }))
+  };
+}
+
+/**
+ * The register of a class for a day: every enrolled student the caller may see,
+ * with their status (null until marked). Returns { register } or { error, status }.
+ */
+export async function getRegister(classId, date, period = '') {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const [enrollments, session] = await Promise.all([
+    prisma.enrollment.findMany({
+      where: accessWhere('enrollment', { classId }),
+      include: { student: { select: { id: true, name: true, email: true } } },
+      orderBy: { student: { name: 'asc' } }
+    }),
+    prisma.attendanceSession.findFirst({
+      where: accessWhere('attendanceSession', { classId, date, period }),
+      include: {
+        takenBy: USER_SUMMARY,
+        records: { where: accessWhere('attendanceRecord'), include: { markedBy: USER_SUMMARY } }
+      }
+    })
+  ]);
+
+  const records = new Map((session?.records || []).map((record) => [record.enrollmentId, record]));
+
+  const students = enrollments.map((enrollment) => {
+    const record = records.get(enrollment.id);
+    return {
+      enrollmentId: enrollment.id,
+      student: enrollment.student,
+      status: record?.status || null,
+      note: record?.note || null,
+      markedBy: record?.markedBy || null,
+      markedAt: record?.updatedAt || null
+    };
+  });
+
+  return {
+    register: {
+      class: { id: classItem.id, name: classItem.name, code: classItem.code },
+      date: formatAttendanceDate(date),
+      period,
+      session: session && {
+        id: session.id,
+        notes: session.notes,
+        takenBy: session.takenBy,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      },
+      summary: {
+        ...summarizeStatuses(students.filter((entry) => entry.status).map((entry) => entry.status)),
+        unmarked: students.filter((entry) => !entry.status).length
+      },
+      students
+    }
+  };
+}
+
+/**
+ * Mark a class's attendance for a day in bulk.
+ * - marks: [{ studentId or enrollmentId, status, note }]
+ * - defaultStatus: status for every enrolled student not in marks and not marked yet
+ * - reason: kept in the edit history of records that change
+ * Returns { register } or { error, status }.
+ */
+export async function markAttendance(classId, date, { period = '', notes, marks = [], defaultStatus, reason }, userId) {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const context = getTenantContext();
+  if (context?.role === ROLES.TEACHER && classItem.teacherId !== context.teacherId) {
+    return { error: 'Teachers can only take attendance for their own classes', status: 403 };
+  }
+
+  for (const status of [...marks.map((mark) => mark.status), ...(defaultStatus ? [defaultStatus] : [])]) {
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      return { error: `Invalid status "${status}". Must be one of: ${ATTENDANCE_STATUSES.join(', ')}`, status: 400 };
+    }
+  }
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: accessWhere('enrollment', { classId }),
+    select: { id: true, studentId: true }
+  });
+
+  // Resolve every mark to an enrollment of this class
+  const wanted = new Map();
+  const notEnrolled = [];
+  for (const mark of marks) {
+    const enrollment = enrollments.find((entry) => mark.enrollmentId
+      ? entry.id === parseInt(mark.enrollmentId)
+      : entry.studentId === parseInt(mark.studentId));
+
+    if (!enrollment) {
+      notEnrolled.push(mark.enrollmentId ? `enrollment ${mark.enrollmentId}` : `student ${mark.studentId}`);
+    } else if (wanted.has(enrollment.id)) {
+      return { error: `Student ${enrollment.studentId} is listed more than once`, status: 400 };
+    } else {
+      wanted.set(enrollment.id, { status: mark.status, note: mark.note });
+    }
+  }
+
+  if (notEnrolled.length > 0) {
+    return { error: `Not enrolled in this class: ${notEnrolled.join(', ')}`, status: 400 };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const session = await tx.attendanceSession.upsert({
+      where: { classId_date_period: { classId, date, period } },
+      create: { classId, date, period, notes: notes || null, takenById: userId },
+      update: notes !== undefined ? { notes: notes || null } : {}
+    });
+
+    const existing = new Map(
+      (await tx.attendanceRecord.findMany({ where: { sessionId: session.id } }))
+        .map((record) => [record.enrollmentId, record])
+    );
+
+    if (defaultStatus) {
+      for (const enrollment of enrollments) {
+        if (!wanted.has(enrollment.id) && !existing.has(enrollment.id)) {
+          wanted.set(enrollment.id, { status: defaultStatus });
+        }
+      }
+    }
+
+    for (const [enrollmentId, { status, note }] of wanted) {
+      const record = existing.get(enrollmentId);
+      const newNote = note === undefined ? record?.note ?? null : note || null;
+
+      if (!record) {
+        await tx.attendanceRecord.create({
+          data: { sessionId: session.id, enrollmentId, status, note: newNote, markedById: userId }
+        });
+        continue;
+      }
+
+      if (record.status === status && record.note === newNote) {
+        continue;
+      }
+
+      await tx.attendanceRecord.update({
+        where: { id: record.id },
+        data: { status, note: newNote, markedById: userId }
+      });
+
+      await tx.attendanceChange.create({
+        data: {
+          recordId: record.id,
+          previousStatus: record.status,
+          status,
+          previousNote: record.note,
+          note: newNote,
+          reason: reason || null,
+          changedById: userId
+        }
+      });
+    }
+  });
+
+  return getRegister(classId, date, period);
+}
+
+/**
+ * Edit history of a class's register for a day, newest first.
+ * Returns { history } or { error, status }.
+ */
+export async function getAttendanceHistory(classId, date, period = '') {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const changes = await prisma.attendanceChange.findMany({
+    where: { record: accessWhere('attendanceRecord', { session: { classId, date, period } }) },
+    include: {
+      changedBy: USER_SUMMARY,
+      record: { select: { enrollment: { select: { id: true, student: { select: { id: true, name: true } } } } } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return {
+    history: changes.map(({ record, ...change }) => ({
+      ...change,
+      enrollmentId: record.enrollment.id,
+      student: record.enrollment.student
+    }))
+  };
+}
+
+/**
+ * A student's attendance across their classes, newest first, with totals.
+ * The caller must be able to see the student.
+ */
+export async function getStudentAttendance(studentId, { range } = {}) {
+  const records = await prisma.attendanceRecord.findMany({
+    where: accessWhere('attendanceRecord', {
+      enrollment: { studentId },
+      ...(range && { session: { date: range } })
+    }),
+    include: {
+      session: {
+        select: {
+          date: true,
+          period: true,
+          class: { select: { id: true, name: true, code: true } }
+        }
+      }
+    },
+    orderBy: { session: { date: 'desc' } }
+  });
+
+  return {
+    summary: summarizeStatuses(records.map((record) => record.status)),
+    records: records.map(({ session, ...record }) => ({
+      id: record.id,
+      date: formatAttendanceDate(session.date),
+      period: session.period,
+      class: session.class,
+      status: record.status,
+      note: record.note,
+      updatedAt: record.updatedAt
+    }))
+  };
+}
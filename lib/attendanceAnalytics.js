@@ -0,0 +1,353 @@
+// Attendance rates and chronic-absence alerts (routes/analytics.js).
+//
+// Present and late count as attended, excused days are left out:
+//   rate = (present + late) / (present + late + absent)
+// A student is chronically absent over a date range when they have at least
+// minDays countable school days and their absence rate (percent) or number of
+// absent days reaches its threshold. A day counts once however many classes the
+// student has: attended if they were present or late for any session, absent if
+// they missed a session and attended none, excused if every session was excused.
+// Defaults come from ABSENCE_ALERT_RATE (10), ABSENCE_ALERT_COUNT (5) and
+// ABSENCE_ALERT_MIN_DAYS (5); requests can override them.
+//
+// Alerts are messages to the class teachers and guardian accounts, plus the
+// guardians' email/SMS (lib/guardians.js). A student is not alerted again within
+// ABSENCE_ALERT_COOLDOWN_DAYS (7) of the previous alert.
+
+import prisma from './prisma.js';
+import { accessWhere } from './rowAccess.js';
+import { summarizeStatuses, formatAttendanceDate, parseDateRange } from './attendance.js';
+import { notifyGuardians } from './guardians.js';
+
+export const DEFAULT_THRESHOLDS = {
+  rate: parseFloat(process.env.ABSENCE_ALERT_RATE) || 10,
+  absences: parseInt(process.env.ABSENCE_ALERT_COUNT) || 5,
+  minDays: parseInt(process.env.ABSENCE_ALERT_MIN_DAYS) || 5
+};
+
+const ALERT_COOLDOWN_DAYS = parseInt(process.env.ABSENCE_ALERT_COOLDOWN_DAYS) || 7;
+
+// Range of the absence report when the request gives none
+const DEFAULT_WINDOW_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Add totals and rates (percent, null without countable days) to a status summary
+ */
+export function attendanceRates(summary) {
+  const countable = summary.present + summary.late + summary.absent;
+  return {
+    ...summary,
+    total: countable + summary.excused,
+    rate: countable ? round(((summary.present + summary.late) / countable) * 100) : null,
+    absenceRate: countable ? round((summary.absent / countable) * 100) : null
+  };
+}
+
+/**
+ * Read absence thresholds from a query or body, falling back to the defaults.
+ * Returns { thresholds } or { error }.
+ */
+export function parseThresholds({ rate, absences, minDays } = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  const given = (value) => value !== undefined && value !== '';
+
+  if (given(rate)) {
+    thresholds.rate = parseFloat(rate);
+    if (isNaN(thresholds.rate) || thresholds.rate <= 0 || thresholds.rate > 100) {
+      return { error: 'rate must be a percentage above 0 and up to 100' };
+    }
+  }
+  if (given(absences)) {
+    thresholds.absences = parseInt(absences);
+    if (isNaN(thresholds.absences) || thresholds.absences < 1) {
+      return { error: 'absences must be a positive number' };
+    }
+  }
+  if (given(minDays)) {
+    thresholds.minDays = parseInt(minDays);
+    if (isNaN(thresholds.minDays) || thresholds.minDays < 1) {
+      return { error: 'minDays must be a positive number' };
+    }
+  }
+
+  return { thresholds };
+}
+
+/**
+ * Read ?from/?to, defaulting to the last 30 days up to today.
+ * Returns { range: { gte, lte } } or { error }.
+ */
+export function parseReportRange(query) {
+  const { range, error } = parseDateRange(query);
+  if (error) {
+    return { error };
+  }
+
+  const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`);
+  const lte = range?.lte || today;
+  const gte = range?.gte || new Date(lte.getTime() - (DEFAULT_WINDOW_DAYS - 1) * DAY);
+
+  if (gte > lte) {
+    return { error: 'from must not be after to' };
+  }
+  return { range: { gte, lte } };
+}
+
+const recordWhere = ({ range, classId, branchId }) => accessWhere('attendanceRecord', {
+  ...(classId && { enrollment: { classId } }),
+  session: {
+    ...(range && { date: range }),
+    ...(branchId && { class: { branchId } })
+  }
+});
+
+/**
+ * Count records per enrollment and status, with the enrollments' student and class
+ */
+async function countsByEnrollment(filters) {
+  const groups = await prisma.attendanceRecord.groupBy({
+    by: ['enrollmentId', 'status'],
+    where: recordWhere(filters),
+    _count: { _all: true }
+  });
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: accessWhere('enrollment', { id: { in: [...new Set(groups.map((group) => group.enrollmentId))] } }),
+    select: {
+      id: true,
+      student: { select: { id: true, name: true } },
+      class: {
+        select: {
+          id: true,
+          name: true,
+          code: true,
+          teacher: { select: { id: true, name: true, userId: true } },
+          school: { select: { id: true, name: true } },
+          branch: { select: { id: true, name: true } }
+        }
+      }
+    }
+  });
+
+  const byId = new Map(enrollments.map((enrollment) => [enrollment.id, enrollment]));
+  return groups
+    .filter((group) => byId.has(group.enrollmentId))
+    .map((group) => ({ enrollment: byId.get(group.enrollmentId), status: group.status, count: group._count._all }));
+}
+
+/**
+ * Sum counts into one summary per key. describe(entry) gives the fields of a new row.
+ */
+function tally(counts, keyOf, describe) {
+  const rows = new Map();
+
+  for (const entry of counts) {
+    const key = keyOf(entry);
+    if (!rows.has(key)) {
+      rows.set(key, { ...describe(entry), summary: summarizeStatuses([]) });
+    }
+    rows.get(key).summary[entry.status] += entry.count;
+  }
+
+  return [...rows.values()].map(({ summary, ...row }) => ({ ...row, ...attendanceRates(summary) }));
+}
+
+// A day takes the best status among its sessions
+const DAY_STATUS_ORDER = ['present', 'late', 'absent', 'excused'];
+
+/**
+ * Status summary per student counting each school day once
+ */
+async function daySummaries(filters) {
+  const records = await prisma.attendanceRecord.findMany({
+    where: recordWhere(filters),
+    select: {
+      status: true,
+      enrollment: { select: { studentId: true } },
+      session: { select: { date: true } }
+    }
+  });
+
+  const days = new Map();
+  for (const record of records) {
+    const studentDays = days.get(record.enrollment.studentId) || new Map();
+    const date = formatAttendanceDate(record.session.date);
+    const current = studentDays.get(date);
+    if (!current || DAY_STATUS_ORDER.indexOf(record.status) < DAY_STATUS_ORDER.indexOf(current)) {
+      studentDays.set(date, record.status);
+    }
+    days.set(record.enrollment.studentId, studentDays);
+  }
+
+  return new Map([...days].map(([studentId, studentDays]) => [studentId, summarizeStatuses(studentDays.values())]));
+}
+
+/**
+ * Attendance rate per student over a range (optionally one class or branch)
+ */
+export async function attendanceByStudent(filters = {}) {
+  const counts = await countsByEnrollment(filters);
+  return tally(counts, ({ enrollment }) => enrollment.student.id, ({ enrollment }) => ({ student: enrollment.student }))
+    .sort((a, b) => a.student.name.localeCompare(b.student.name));
+}
+
+/**
+ * Attendance rate per class over a range (optionally one branch)
+ */
+export async function attendanceByClass(filters = {}) {
+  const counts = await countsByEnrollment(filters);
+  return tally(counts, ({ enrollment }) => enrollment.class.id, ({ enrollment }) => {
+    const { id, name, code, teacher } = enrollment.class;
+    return { class: { id, name, code }, teacher: teacher && { id: teacher.id, name: teacher.name } };
+  }).sort((a, b) => a.class.name.localeCompare(b.class.name));
+}
+
+/**
+ * Attendance rate per branch of the classes over a range. Classes without a
+ * branch are grouped per school with branch: null.
+ */
+export async function attendanceByBranch(filters = {}) {
+  const counts = await countsByEnrollment(filters);
+  return tally(
+    counts,
+    ({ enrollment }) => `${enrollment.class.school?.id}:${enrollment.class.branch?.id}`,
+    ({ enrollment }) => ({ school: enrollment.class.school, branch: enrollment.class.branch })
+  );
+}
+
+/**
+ * Attendance rate per day over a range (optionally one class or branch)
+ */
+export async function attendanceByDate(filters = {}) {
+  const groups = await prisma.attendanceRecord.groupBy({
+    by: ['sessionId', 'status'],
+    where: recordWhere(filters),
+    _count: { _all: true }
+  });
+
+  const sessions = await prisma.attendanceSession.findMany({
+    where: { id: { in: [...new Set(groups.map((group) => group.sessionId))] } },
+    select: { id: true, date: true }
+  });
+  const dates = new Map(sessions.map((session) => [session.id, formatAttendanceDate(session.date)]));
+
+  const counts = groups.map((group) => ({ date: dates.get(group.sessionId), status: group.status, count: group._count._all }));
+  return tally(counts, (entry) => entry.date, (entry) => ({ date: entry.date }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Students whose absent days reach a threshold over a range, worst first, with
+ * their classes and when they were last alerted. Counts are school days.
+ */
+export async function chronicAbsences({ thresholds = DEFAULT_THRESHOLDS, ...filters } = {}) {
+  const counts = await countsByEnrollment(filters);
+  const summaries = await daySummaries(filters);
+
+  const students = new Map();
+  const classesOf = new Map();
+  for (const { enrollment } of counts) {
+    const classes = classesOf.get(enrollment.student.id) || new Map();
+    classes.set(enrollment.class.id, enrollment.class);
+    classesOf.set(enrollment.student.id, classes);
+    students.set(enrollment.student.id, enrollment.student);
+  }
+
+  const flagged = [...students.values()]
+    .filter((student) => summaries.has(student.id))
+    .map((student) => ({ student, ...attendanceRates(summaries.get(student.id)) }))
+    .map((row) => ({
+      ...row,
+      reasons: [
+        ...(row.absenceRate >= thresholds.rate ? ['rate'] : []),
+        ...(row.absent >= thresholds.absences ? ['absences'] : [])
+      ]
+    }))
+    .filter((row) => row.total - row.excused >= thresholds.minDays && row.reasons.length > 0)
+    .sort((a, b) => b.absenceRate - a.absenceRate || b.absent - a.absent);
+
+  const lastAlerts = await prisma.attendanceAlert.findMany({
+    where: accessWhere('attendanceAlert', { studentId: { in: flagged.map((row) => row.student.id) } }),
+    orderBy: { createdAt: 'desc' },
+    distinct: ['studentId'],
+    select: { studentId: true, createdAt: true }
+  });
+  const lastAlertAt = new Map(lastAlerts.map((alert) => [alert.studentId, alert.createdAt]));
+
+  return flagged.map((row) => ({
+    ...row,
+    classes: [...classesOf.get(row.student.id).values()].map(({ id, name, code, teacher }) => ({
+      id,
+      name,
+      code,
+      teacher: teacher && { id: teacher.id, name: teacher.name, userId: teacher.userId }
+    })),
+    lastAlertAt: lastAlertAt.get(row.student.id) || null
+  }));
+}
+
+/**
+ * Alert the class teachers and guardians of every chronically absent student
+ * not alerted during the cool-down. Returns one result per flagged student.
+ */
+export async function sendAbsenceAlerts({ range, thresholds = DEFAULT_THRESHOLDS, ...filters }, senderId) {
+  const students = await chronicAbsences({ range, thresholds, ...filters });
+  const since = new Date(Date.now() - ALERT_COOLDOWN_DAYS * DAY);
+  const from = formatAttendanceDate(range.gte);
+  const to = formatAttendanceDate(range.lte);
+  const results = [];
+
+  for (const entry of students) {
+    const { student } = entry;
+
+    if (entry.lastAlertAt && entry.lastAlertAt > since) {
+      results.push({ student, status: 'skipped', reason: `Already alerted on ${entry.lastAlertAt.toISOString().slice(0, 10)}` });
+      continue;
+    }
+
+    const content = `Attendance alert: ${student.name} was absent on ${entry.absent} of ${entry.total - entry.excused} days ` +
+      `(${entry.absenceRate}%) between ${from} and ${to}.`;
+
+    const teacherUserIds = [...new Set(
+      entry.classes.map((classItem) => classItem.teacher?.userId).filter((userId) => userId && userId !== senderId)
+    )];
+
+    const guardianAccounts = await prisma.guardian.findMany({
+      where: { students: { some: { studentId: student.id } }, userId: { not: null } },
+      select: { id: true, userId: true }
+    });
+
+    await prisma.message.createMany({
+      data: [...teacherUserIds, ...guardianAccounts.map((guardian) => guardian.userId)]
+        .map((receiverId) => ({ senderId, receiverId, content }))
+    });
+
+    const guardians = await notifyGuardians(student.id, { subject: `Attendance alert: ${student.name}`, message: content });
+
+    const guardiansNotified = new Set([
+      ...guardianAccounts.map((guardian) => guardian.id),
+      ...guardians.filter((result) => result.status === 'sent').map((result) => result.guardianId)
+    ]).size;
+
+    await prisma.attendanceAlert.create({
+      data: {
+        studentId: student.id,
+        from: range.gte,
+        to: range.lte,
+        absences: entry.absent,
+        absenceRate: entry.absenceRate,
+        teachersNotified: teacherUserIds.length,
+        guardiansNotified,
+        sentById: senderId
+      }
+    });
+
+    results.push({ student, status: 'sent', teachersNotified: teacherUserIds.length, guardiansNotified, guardians });
+  }
+
+  return results;
+}
@@ -0,0 +1,42 @@
+// Audit trail for privileged activity.
+// Writing an entry never fails the request that triggered it.
+
+import prisma from './prisma.js';
+
+/**
+ * Record an audit log entry
+ */
+export async function recordAudit({ action, actorId = null, targetUserId = null, sessionId = null, req = null, statusCode = null, details = null }) {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        action,
+        actorId,
+        targetUserId,
+        sessionId,
+        method: req?.method || null,
+        path: req?.originalUrl?.split('?')[0] || null,
+        statusCode,
+        ipAddress: req?.ip || null,
+        details
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record audit log:', error.message);
+  }
+}
+
+/**
+ * Audit log entries, newest first
+ */
+export async function getAuditLogs(where = {}, limit = 100) {
+  return await prisma.auditLog.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Math.max(parseInt(limit) || 100, 1), 500),
+    include: {
+      actor: { select: { id: true, name: true, email: true } },
+      targetUser: { select: { id: true, name: true, email: true } }
+    }
+  });
+}
@@ -0,0 +1,27 @@
+// Email service
+// In production, integrate with an email provider like SendGrid, AWS SES, etc.
+
+/**
+ * Build a link to a frontend page
+ */
+export function frontendUrl(path) {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base.replace(/\/$/, '')}${path}`;
+}
+
+/**
+ * Send an email
+ * In production, integrate with email service
+ */
+export async function sendEmail({ to, subject, text }) {
+  // For development: log the email to console
+  // In production, send via email service
+  console.log(`\n📧 ===== EMAIL =====`);
+  console.log(`To: ${to}`);
+  console.log(`Subject: ${subject}`);
+  console.log(text);
+  console.log(`===================\n`);
+  console.log('⚠️  In production, this should be sent via email service');
+
+  return true;
+}
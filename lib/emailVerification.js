@@ -0,0 +1,96 @@
+// Email verification for newly registered users.
+// Verification links carry a signed token bound to the address it was sent to,
+// so changing the email invalidates older links.
+//
+// EMAIL_VERIFICATION_POLICY decides what unverified users may do:
+//   off      - nothing is restricted (default)
+//   restrict - the routes in EMAIL_VERIFICATION_RESTRICTED are blocked
+//              (default "POST /api/messages")
+//   required - everything except /api/auth is blocked
+
+import prisma from './prisma.js';
+import { signToken, verifyToken } from './tokenService.js';
+import { sendEmail, frontendUrl } from './email.js';
+
+// Verification links are valid for 24 hours
+const VERIFICATION_TOKEN_TTL = '24h';
+
+const POLICY = process.env.EMAIL_VERIFICATION_POLICY || 'off';
+
+// "METHOD /path-prefix" entries, comma separated
+const RESTRICTED_ROUTES = (process.env.EMAIL_VERIFICATION_RESTRICTED || 'POST /api/messages')
+  .split(',')
+  .map((entry) => entry.trim().split(/\s+/))
+  .filter(([method, path]) => method && path)
+  .map(([method, path]) => ({ method: method.toUpperCase(), path }));
+
+/**
+ * Create an email verification token
+ */
+export function createEmailVerificationToken(user) {
+  return signToken(
+    { userId: user.id, email: user.email, purpose: 'email_verification' },
+    { expiresIn: VERIFICATION_TOKEN_TTL }
+  );
+}
+
+/**
+ * Send the verification email
+ */
+export async function sendVerificationEmail(user) {
+  const token = createEmailVerificationToken(user);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\nPlease confirm your email address by opening the link below. It is valid for 24 hours.\n\n${frontendUrl(`/verify-email?token=${token}`)}\n\nIf you did not create an account, you can ignore this email.`
+  });
+}
+
+/**
+ * Verify a token and mark the email as verified.
+ * Returns the user, or null if the token is invalid, expired or stale.
+ */
+export async function confirmEmailVerification(token) {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch {
+    return null;
+  }
+
+  if (decoded.purpose !== 'email_verification') {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+  if (!user || user.email !== decoded.email) {
+    return null;
+  }
+
+  if (user.emailVerified) {
+    return user;
+  }
+
+  return await prisma.user.update({
+    where: { id: user.id },
+    data: { emailVerified: true, emailVerifiedAt: new Date() }
+  });
+}
+
+/**
+ * Whether the request is blocked for a user whose email is not verified
+ */
+export function isRestrictedForUnverified(req) {
+  const path = `${req.baseUrl || ''}${req.path || ''}`;
+
+  if (POLICY === 'required') {
+    return !path.startsWith('/api/auth');
+  }
+
+  if (POLICY === 'restrict') {
+    return RESTRICTED_ROUTES.some((route) => route.method === req.method && path.startsWith(route.path));
+  }
+
+  return false;
+}
@@ -0,0 +1,476 @@
+// Gradebook: assessments of a class (homework, quizzes, exams...) and the
+// students' scores on them. Teachers grade their own classes.
+//
+// A student's average is weighted: each scored assessment counts its percentage
+// (points / maxScore) times its weight. Excused and ungraded assessments are
+// left out, so the average is a running one. Averages per category use the same
+// formula within the category. Letters come from the school's grade scale, or
+// DEFAULT_GRADE_SCALE.
+//
+// Queries go through accessWhere(): students and guardians only see their own
+// (children's) scores.
+
+import prisma from './prisma.js';
+import { accessWhere } from './rowAccess.js';
+import { getTenantContext } from './tenantContext.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+export const DEFAULT_GRADE_SCALE = [
+  { letter: 'A', min: 90 },
+  { letter: 'B', min: 80 },
+  { letter: 'C', min: 70 },
+  { letter: 'D', min: 60 },
+  { letter: 'F', min: 0 }
+];
+
+const ASSESSMENT_SELECT = {
+  id: true,
+  classId: true,
+  title: true,
+  category: true,
+  maxScore: true,
+  weight: true,
+  dueDate: true
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a grade scale from a request body: [{ letter, min }] with distinct
+ * letters and minimums, one of them 0. Returns { bands } (highest first) or { error }.
+ */
+export function parseGradeScale(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return { error: 'bands must be a non-empty array of { letter, min }' };
+  }
+
+  const parsed = [];
+  for (const band of bands) {
+    const letter = typeof band?.letter === 'string' ? band.letter.trim() : '';
+    const min = Number(band?.min);
+
+    if (!letter || letter.length > 5) {
+      return { error: 'Each band needs a letter of 1-5 characters' };
+    }
+    if (band.min === null || band.min === '' || isNaN(min) || min < 0 || min > 100) {
+      return { error: `The minimum of "${letter}" must be a percentage between 0 and 100` };
+    }
+    parsed.push({ letter, min });
+  }
+
+  if (new Set(parsed.map((band) => band.letter)).size !== parsed.length) {
+    return { error: 'Letters must be distinct' };
+  }
+  if (new Set(parsed.map((band) => band.min)).size !== parsed.length) {
+    return { error: 'Minimums must be distinct' };
+  }
+  if (!parsed.some((band) => band.min === 0)) {
+    return { error: 'One band must start at 0' };
+  }
+
+  return { bands: parsed.sort((a, b) => b.min - a.min) };
+}
+
+/**
+ * Letter of a percentage on a scale, or null without a percentage
+ */
+export function letterGrade(percent, bands = DEFAULT_GRADE_SCALE) {
+  if (percent === null || percent === undefined) {
+    return null;
+  }
+  return bands.find((band) => percent >= band.min)?.letter || null;
+}
+
+/**
+ * Weighted average percentage of [{ points, excused, maxScore, weight }], or
+ * null when nothing counts yet
+ */
+export function weightedAverage(entries) {
+  const counted = entries.filter((entry) =>
+    entry.points !== null && entry.points !== undefined && !entry.excused && entry.weight > 0);
+
+  const totalWeight = counted.reduce((sum, entry) => sum + entry.weight, 0);
+  if (!totalWeight) {
+    return null;
+  }
+
+  const weighted = counted.reduce((sum, entry) => sum + entry.weight * (entry.points / entry.maxScore), 0);
+  return round((weighted / totalWeight) * 100);
+}
+
+/**
+ * Overall and per-category averages, and the letter, of a student's entries
+ */
+function averages(entries, bands) {
+  const categories = {};
+  for (const category of new Set(entries.map((entry) => entry.category))) {
+    categories[category] = weightedAverage(entries.filter((entry) => entry.category === category));
+  }
+
+  const average = weightedAverage(entries);
+  return { average, letter: letterGrade(average, bands), categories };
+}
+
+/**
+ * Bands of a school's grade scale (the default for schools without one, or no school)
+ */
+async function scaleBands(schoolId) {
+  if (!schoolId) {
+    return DEFAULT_GRADE_SCALE;
+  }
+  const scale = await prisma.gradeScale.findUnique({ where: { schoolId } });
+  return scale?.bands || DEFAULT_GRADE_SCALE;
+}
+
+/**
+ * A school's grade scale. Returns { scale } or { error, status }.
+ */
+export async function getGradeScale(schoolId) {
+  const school = await prisma.school.findFirst({ where: accessWhere('school', { id: schoolId }), select: { id: true } });
+  if (!school) {
+    return { error: 'School not found', status: 404 };
+  }
+
+  const scale = await prisma.gradeScale.findUnique({ where: { schoolId } });
+  return { scale: { schoolId, bands: scale?.bands || DEFAULT_GRADE_SCALE, custom: Boolean(scale) } };
+}
+
+/**
+ * Replace a school's grade scale (bands: null goes back to the default).
+ * Returns { scale } or { error, status }.
+ */
+export async function setGradeScale(schoolId, bands) {
+  const school = await prisma.school.findFirst({ where: accessWhere('school', { id: schoolId }), select: { id: true } });
+  if (!school) {
+    return { error: 'School not found', status: 404 };
+  }
+
+  if (bands === null) {
+    await prisma.gradeScale.deleteMany({ where: { schoolId } });
+    return { scale: { schoolId, bands: DEFAULT_GRADE_SCALE, custom: false } };
+  }
+
+  const parsed = parseGradeScale(bands);
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  await prisma.gradeScale.upsert({
+    where: { schoolId },
+    create: { schoolId, bands: parsed.bands },
+    update: { bands: parsed.bands }
+  });
+  return { scale: { schoolId, bands: parsed.bands, custom: true } };
+}
+
+const findClass = (classId) => prisma.class.findFirst({
+  where: accessWhere('class', { id: classId }),
+  select: { id: true, name: true, code: true, teacherId: true, schoolId: true }
+});
+
+/**
+ * The class if the caller may grade it. Returns { classItem } or { error, status }.
+ */
+async function gradableClass(classId) {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const context = getTenantContext();
+  if (context?.role === ROLES.TEACHER && classItem.teacherId !== context.teacherId) {
+    return { error: 'Teachers can only grade their own classes', status: 403 };
+  }
+  return { classItem };
+}
+
+/**
+ * Check the fields of an assessment body. With partial, missing fields are
+ * left out. Returns { data } or { error }.
+ */
+export function parseAssessment(body, { partial = false } = {}) {
+  const data = {};
+  const given = (key) => body[key] !== undefined;
+
+  if (given('title') || !partial) {
+    data.title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!data.title) return { error: 'title is required' };
+  }
+  if (given('category') || !partial) {
+    data.category = typeof body.category === 'string' && body.category.trim()
+      ? body.category.trim().toLowerCase()
+      : 'general';
+  }
+  if (given('maxScore')) {
+    data.maxScore = Number(body.maxScore);
+    if (body.maxScore === null || isNaN(data.maxScore) || data.maxScore <= 0) {
+      return { error: 'maxScore must be a number above 0' };
+    }
+  }
+  if (given('weight')) {
+    data.weight = Number(body.weight);
+    if (body.weight === null || isNaN(data.weight) || data.weight < 0) {
+      return { error: 'weight must be a number of 0 or more' };
+    }
+  }
+  if (given('dueDate')) {
+    data.dueDate = body.dueDate ? new Date(body.dueDate) : null;
+    if (data.dueDate && isNaN(data.dueDate)) {
+      return { error: 'dueDate must be a date' };
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Assessments of a class, by due date. Returns { assessments } or { error, status }.
+ */
+export async function listAssessments(classId) {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const assessments = await prisma.assessment.findMany({
+    where: accessWhere('assessment', { classId }),
+    select: ASSESSMENT_SELECT,
+    orderBy: [{ dueDate: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }]
+  });
+  return { assessments };
+}
+
+/**
+ * Add an assessment to a class. Returns { assessment } or { error, status }.
+ */
+export async function createAssessment(classId, body) {
+  const { classItem, error, status } = await gradableClass(classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const parsed = parseAssessment(body);
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  const assessment = await prisma.assessment.create({
+    data: { ...parsed.data, classId: classItem.id },
+    select: ASSESSMENT_SELECT
+  });
+  return { assessment };
+}
+
+/**
+ * Update an assessment of a class. Returns { assessment } or { error, status }.
+ */
+export async function updateAssessment(classId, assessmentId, body) {
+  const { error, status } = await gradableClass(classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const parsed = parseAssessment(body, { partial: true });
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  const existing = await prisma.assessment.findFirst({ where: accessWhere('assessment', { id: assessmentId, classId }) });
+  if (!existing) {
+    return { error: 'Assessment not found', status: 404 };
+  }
+
+  if (parsed.data.maxScore !== undefined) {
+    const above = await prisma.score.count({ where: { assessmentId, points: { gt: parsed.data.maxScore } } });
+    if (above > 0) {
+      return { error: `${above} score(s) are above the new maxScore. Correct them first`, status: 400 };
+    }
+  }
+
+  const assessment = await prisma.assessment.update({
+    where: { id: assessmentId },
+    data: parsed.data,
+    select: ASSESSMENT_SELECT
+  });
+  return { assessment };
+}
+
+/**
+ * Delete an assessment and its scores. Returns { assessment } or { error, status }.
+ */
+export async function deleteAssessment(classId, assessmentId) {
+  const { error, status } = await gradableClass(classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const existing = await prisma.assessment.findFirst({
+    where: accessWhere('assessment', { id: assessmentId, classId }),
+    select: ASSESSMENT_SELECT
+  });
+  if (!existing) {
+    return { error: 'Assessment not found', status: 404 };
+  }
+
+  await prisma.assessment.delete({ where: { id: assessmentId } });
+  return { assessment: existing };
+}
+
+/**
+ * Record scores of an assessment in bulk:
+ * marks: [{ studentId or enrollmentId, points (null: ungraded), excused, comment }]
+ * Returns { gradebook } or { error, status }.
+ */
+export async function recordScores(classId, assessmentId, marks, userId) {
+  const { error, status } = await gradableClass(classId);
+  if (error) {
+    return { error, status };
+  }
+
+  const assessment = await prisma.assessment.findFirst({ where: accessWhere('assessment', { id: assessmentId, classId }) });
+  if (!assessment) {
+    return { error: 'Assessment not found', status: 404 };
+  }
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: accessWhere('enrollment', { classId }),
+    select: { id: true, studentId: true }
+  });
+
+  const scores = new Map();
+  const notEnrolled = [];
+  for (const mark of marks) {
+    const enrollment = enrollments.find((entry) => mark.enrollmentId
+      ? entry.id === parseInt(mark.enrollmentId)
+      : entry.studentId === parseInt(mark.studentId));
+
+    if (!enrollment) {
+      notEnrolled.push(mark.enrollmentId ? `enrollment ${mark.enrollmentId}` : `student ${mark.studentId}`);
+      continue;
+    }
+    if (scores.has(enrollment.id)) {
+      return { error: `Student ${enrollment.studentId} is listed more than once`, status: 400 };
+    }
+
+    const points = mark.points === null || mark.points === undefined || mark.points === '' ? null : Number(mark.points);
+    if (points !== null && (isNaN(points) || points < 0 || points > assessment.maxScore)) {
+      return { error: `Points must be between 0 and ${assessment.maxScore} (student ${enrollment.studentId})`, status: 400 };
+    }
+
+    scores.set(enrollment.id, {
+      points,
+      excused: Boolean(mark.excused),
+      comment: mark.comment ? String(mark.comment).trim() : null
+    });
+  }
+
+  if (notEnrolled.length > 0) {
+    return { error: `Not enrolled in this class: ${notEnrolled.join(', ')}`, status: 400 };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    for (const [enrollmentId, score] of scores) {
+      await tx.score.upsert({
+        where: { assessmentId_enrollmentId: { assessmentId, enrollmentId } },
+        create: { assessmentId, enrollmentId, ...score, gradedById: userId },
+        update: { ...score, gradedById: userId }
+      });
+    }
+  });
+
+  return getGradebook(classId);
+}
+
+const scoreCell = (score) => score && {
+  points: score.points,
+  excused: score.excused,
+  comment: score.comment,
+  updatedAt: score.updatedAt
+};
+
+/**
+ * The gradebook of a class: its assessments and, per student the caller may
+ * see, their scores (in assessment order, null when missing), averages and letter.
+ * Returns { gradebook } or { error, status }.
+ */
+export async function getGradebook(classId) {
+  const classItem = await findClass(classId);
+  if (!classItem) {
+    return { error: 'Class not found', status: 404 };
+  }
+
+  const [{ assessments }, enrollments, scores, bands] = await Promise.all([
+    listAssessments(classId),
+    prisma.enrollment.findMany({
+      where: accessWhere('enrollment', { classId }),
+      include: { student: { select: { id: true, name: true, email: true } } },
+      orderBy: { student: { name: 'asc' } }
+    }),
+    prisma.score.findMany({ where: accessWhere('score', { assessment: { classId } }) }),
+    scaleBands(classItem.schoolId)
+  ]);
+
+  const scoreOf = new Map(scores.map((score) => [`${score.enrollmentId}:${score.assessmentId}`, score]));
+
+  const students = enrollments.map((enrollment) => {
+    const row = assessments.map((assessment) => scoreOf.get(`${enrollment.id}:${assessment.id}`) || null);
+    return {
+      enrollmentId: enrollment.id,
+      student: enrollment.student,
+      scores: row.map(scoreCell),
+      ...averages(assessments.map((assessment, index) => ({ ...assessment, ...row[index] })), bands)
+    };
+  });
+
+  return {
+    gradebook: {
+      class: { id: classItem.id, name: classItem.name, code: classItem.code },
+      scale: bands,
+      assessments,
+      students
+    }
+  };
+}
+
+/**
+ * A student's grades in each of their classes the caller may see.
+ * The caller must be able to see the student.
+ */
+export async function getStudentGrades(studentId) {
+  const enrollments = await prisma.enrollment.findMany({
+    where: accessWhere('enrollment', { studentId }),
+    include: {
+      class: { select: { id: true, name: true, code: true, schoolId: true } },
+      scores: { where: accessWhere('score') }
+    },
+    orderBy: { class: { name: 'asc' } }
+  });
+
+  const classIds = enrollments.map((enrollment) => enrollment.classId);
+  const assessments = await prisma.assessment.findMany({
+    where: accessWhere('assessment', { classId: { in: classIds } }),
+    select: ASSESSMENT_SELECT,
+    orderBy: [{ dueDate: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }]
+  });
+
+  const scales = new Map();
+  for (const schoolId of new Set(enrollments.map((enrollment) => enrollment.class.schoolId))) {
+    scales.set(schoolId, await scaleBands(schoolId));
+  }
+
+  return enrollments.map((enrollment) => {
+    const { schoolId, ...classInfo } = enrollment.class;
+    const entries = assessments
+      .filter((assessment) => assessment.classId === enrollment.classId)
+      .map((assessment) => {
+        const score = enrollment.scores.find((entry) => entry.assessmentId === assessment.id);
+        return { ...assessment, points: score?.points ?? null, excused: score?.excused || false, comment: score?.comment || null };
+      });
+
+    return {
+      class: classInfo,
+      ...averages(entries, scales.get(schoolId)),
+      assessments: entries
+    };
+  });
+}
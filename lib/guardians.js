@@ -0,0 +1,91 @@
+// Guardians (parents) and their children.
+// A Guardian record can be linked to a login account with the guardian role;
+// that account gets read-only access to the children's records (row rules in
+// lib/rowAccess.js) and acts as a member of the children's schools.
+// Guardians are notified about their children by email or SMS, as they prefer.
+
+import prisma from './prisma.js';
+import { sendEmail } from './email.js';
+import { sendSMS } from './sms.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+export const CONTACT_PREFERENCES = ['email', 'sms', 'none'];
+
+/**
+ * School memberships a guardian account gets from its children: one per school
+ * of a child that the account is not already a member of
+ */
+export function guardianMemberships(guardian, memberships = []) {
+  if (!guardian) {
+    return [];
+  }
+
+  const schoolIds = new Set(
+    guardian.students
+      .map((link) => link.student.schoolId)
+      .filter((schoolId) => schoolId && !memberships.some((entry) => entry.schoolId === schoolId))
+  );
+
+  return [...schoolIds].map((schoolId) => ({ schoolId, branchId: null, role: ROLES.GUARDIAN }));
+}
+
+/**
+ * How to reach a guardian: their preferred channel if they have the details
+ * for it, otherwise the other one. null when they opted out or have neither.
+ */
+export function contactChannel(guardian) {
+  if (guardian.preferredContact === 'none') {
+    return null;
+  }
+
+  const channels = guardian.preferredContact === 'sms' ? ['sms', 'email'] : ['email', 'sms'];
+  return channels.find((channel) => (channel === 'sms' ? guardian.phoneNumber : guardian.email)) || null;
+}
+
+/**
+ * Send a message about a student to all of their guardians.
+ * Returns one { guardianId, channel, status } entry per guardian; failures are
+ * reported there instead of thrown.
+ */
+export async function notifyGuardians(studentId, { subject, message }) {
+  const links = await prisma.studentGuardian.findMany({
+    where: { studentId },
+    include: {
+      guardian: true,
+      student: { select: { name: true } }
+    }
+  });
+
+  const results = [];
+
+  for (const { guardian, student } of links) {
+    const channel = contactChannel(guardian);
+
+    if (!channel) {
+      results.push({ guardianId: guardian.id, channel: null, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      if (channel === 'email') {
+        await sendEmail({
+          to: guardian.email,
+          subject,
+          text: `Hello ${guardian.name},\n\n${message}`
+        });
+      } else {
+        await sendSMS({
+          to: guardian.phoneNumber,
+          template: 'guardian_notice',
+          params: { studentName: student.name, message }
+        });
+      }
+      results.push({ guardianId: guardian.id, channel, status: 'sent' });
+    } catch (error) {
+      console.error(`Failed to notify guardian ${guardian.id}:`, error.message);
+      results.push({ guardianId: guardian.id, channel, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
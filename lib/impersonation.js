@@ -0,0 +1,156 @@
+// Superadmin impersonation.
+// A superadmin can act as another user to see exactly what they see. The
+// impersonation token is a normal access token for the target user with an
+// `act` claim naming the real user (RFC 8693 style) and `impersonation: true`.
+// It is backed by its own Session row (no refresh token), so it expires on its
+// own and can be ended early by revoking that session.
+//
+// While impersonating:
+// - account security endpoints (credentials, 2FA, API keys, profile, logout
+//   everywhere) are never available
+// - DELETE requests and writes to account and privileged endpoints (users,
+//   roles, admins, school memberships, invitations) are blocked unless the
+//   token was issued with allowDestructive
+// - every write (and every blocked attempt) is recorded in the audit log
+
+import prisma from './prisma.js';
+import { signAccessToken, revokeSession } from './sessions.js';
+import { recordAudit } from './auditLog.js';
+
+// Impersonation tokens live for 30 minutes by default
+export const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+// Credentials, second factors, API keys, the profile and the other sessions of
+// the impersonated user stay off limits. Entries with writesOnly still allow reads.
+const ALWAYS_BLOCKED = [
+  { pattern: /^\/api\/auth\/change-password/ },
+  { pattern: /^\/api\/auth\/2fa\// },
+  { pattern: /^\/api\/auth\/resend-verification/ },
+  { pattern: /^\/api\/auth\/api-keys/ },
+  { pattern: /^\/api\/auth\/me\/?$/, writesOnly: true },
+  { pattern: /^\/api\/auth\/logout\/?$/, when: (req) => !!req.body?.all }
+];
+
+// Writes here change accounts, roles or who can reach a school
+const PRIVILEGED = [
+  /^\/api\/superadmin\//,
+  /^\/api\/users(\/|$)/,
+  /^\/api\/schools\/[^/]+\/members(\/|$)/,
+  /^\/api\/invitations(\/|$)/
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Start impersonating a user. Returns the token and the session details.
+ */
+export async function startImpersonation(actor, target, { allowDestructive = false, reason = null } = {}, req = null) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const session = await prisma.session.create({
+    data: {
+      userId: target.id,
+      impersonatorId: actor.id,
+      allowDestructive: !!allowDestructive,
+      reason,
+      userAgent: req?.headers?.['user-agent']?.substring(0, 255) || null,
+      ipAddress: req?.ip || null,
+      expiresAt
+    }
+  });
+
+  const token = signAccessToken(target, session.id, {
+    claims: {
+      impersonation: true,
+      allowDestructive: !!allowDestructive,
+      act: { userId: actor.id, email: actor.email }
+    },
+    expiresIn: IMPERSONATION_TTL_MINUTES * 60
+  });
+
+  await recordAudit({
+    action: 'impersonation.start',
+    actorId: actor.id,
+    targetUserId: target.id,
+    sessionId: session.id,
+    req,
+    details: { allowDestructive: !!allowDestructive, reason, expiresAt }
+  });
+
+  return { token, sessionId: session.id, expiresAt };
+}
+
+/**
+ * End an impersonation session. Returns false if it was not active.
+ */
+export async function endImpersonation(session, req = null) {
+  const result = await revokeSession(session.id, 'impersonation_ended');
+
+  if (result.count === 0) {
+    return false;
+  }
+
+  await recordAudit({
+    action: 'impersonation.end',
+    actorId: session.impersonatorId,
+    targetUserId: session.userId,
+    sessionId: session.id,
+    req
+  });
+
+  return true;
+}
+
+/**
+ * Active impersonation sessions, newest first
+ */
+export async function getActiveImpersonations() {
+  return await prisma.session.findMany({
+    where: {
+      impersonatorId: { not: null },
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { createdAt: 'desc' },
+    select: {
+      id: true,
+      allowDestructive: true,
+      reason: true,
+      expiresAt: true,
+      createdAt: true,
+      user: { select: { id: true, name: true, email: true, role: true } },
+      impersonator: { select: { id: true, name: true, email: true } }
+    }
+  });
+}
+
+/**
+ * Why a request may not run under impersonation, or null if it may
+ */
+export function impersonationBlockReason(req, allowDestructive) {
+  const path = req.originalUrl.split('?')[0];
+
+  const alwaysBlocked = ALWAYS_BLOCKED.some(({ pattern, writesOnly, when }) =>
+    pattern.test(path) && (!writesOnly || isWriteRequest(req)) && (!when || when(req))
+  );
+  if (alwaysBlocked) {
+    return 'Account security settings cannot be changed while impersonating';
+  }
+
+  if (allowDestructive) {
+    return null;
+  }
+
+  if (req.method === 'DELETE' || (isWriteRequest(req) && PRIVILEGED.some((pattern) => pattern.test(path)))) {
+    return 'Destructive and privileged actions are disabled for this impersonation session';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a request modifies data
+ */
+export function isWriteRequest(req) {
+  return !READ_METHODS.includes(req.method);
+}
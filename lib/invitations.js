@@ -0,0 +1,194 @@
+// Invitation-based onboarding.
+// Admins invite people by email and/or phone with a role; the invitee follows
+// the link and picks a password at /api/auth/accept-invite.
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from './prisma.js';
+import { sendEmail, frontendUrl } from './email.js';
+import { sendSMS } from './sms.js';
+
+// Invitations are valid for 7 days by default
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const INVITATION_SELECT = {
+  id: true,
+  email: true,
+  phoneNumber: true,
+  role: true,
+  teacherId: true,
+  studentId: true,
+  guardianId: true,
+  schoolId: true,
+  branchId: true,
+  expiresAt: true,
+  acceptedAt: true,
+  acceptedUserId: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+/**
+ * Status of an invitation: pending, accepted, revoked or expired
+ */
+export function invitationStatus(invitation) {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (new Date(invitation.expiresAt) < new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Create an invitation and deliver it. Returns the invitation, the raw token
+ * (only available now - it is stored hashed) and the delivery status per
+ * channel, or { error, status } when no channel could deliver it (the
+ * invitation is deleted again).
+ */
+export async function createInvitation({ email, phoneNumber, role, teacherId, studentId, guardianId, schoolId, branchId, expiresInDays, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const days = parseInt(expiresInDays) || DEFAULT_EXPIRY_DAYS;
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      tokenHash: hashToken(token),
+      email: email || null,
+      phoneNumber: phoneNumber || null,
+      role,
+      teacherId: teacherId || null,
+      studentId: studentId || null,
+      guardianId: guardianId || null,
+      schoolId: schoolId || null,
+      branchId: branchId || null,
+      invitedById: invitedBy.id,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    },
+    select: INVITATION_SELECT
+  });
+
+  const link = frontendUrl(`/accept-invite?token=${token}`);
+
+  const delivery = {};
+  const deliver = async (channel, send) => {
+    try {
+      await send();
+      delivery[channel] = 'sent';
+    } catch (error) {
+      console.error(`Failed to deliver invitation ${invitation.id} by ${channel}:`, error.message);
+      delivery[channel] = 'failed';
+    }
+  };
+
+  if (email) {
+    await deliver('email', () => sendEmail({
+      to: email,
+      subject: 'You have been invited to the Class Management System',
+      text: `Hello,\n\n${invitedBy.name} has invited you to join as a ${role}. Use the link below to create your account. It is valid for ${days} days.\n\n${link}`
+    }));
+  }
+
+  if (phoneNumber) {
+    await deliver('sms', () => sendSMS({ to: phoneNumber, template: 'invitation', params: { role, link } }));
+  }
+
+  // Nobody received the link - do not leave a pending invitation behind
+  if (!Object.values(delivery).includes('sent')) {
+    await prisma.invitation.delete({ where: { id: invitation.id } });
+    return { error: 'The invitation could not be delivered. Please try again', status: 502 };
+  }
+
+  return { invitation, token, delivery };
+}
+
+/**
+ * Find a pending invitation by its token (null if unknown, used, revoked or expired)
+ */
+export async function findPendingInvitation(token) {
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!invitation || invitationStatus(invitation) !== 'pending') {
+    return null;
+  }
+
+  return invitation;
+}
+
+/**
+ * Accept an invitation: create the user with the invited role, make them a
+ * member of the invitation's school with that role, link the invited
+ * Teacher/Student/Guardian record and mark the invitation used. Returns the
+ * new user, or null if the invitation was used concurrently.
+ */
+export async function acceptInvitation(invitation, { email, password, name, phoneNumber }) {
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  return await prisma.$transaction(async (tx) => {
+    const claimed = await tx.invitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const user = await tx.user.create({
+      data: {
+        email,
+        password: hashedPassword,
+        name,
+        role: invitation.role,
+        // The invitation reached this address/number, which proves ownership
+        emailVerified: !!invitation.email && invitation.email === email,
+        ...(phoneNumber && {
+          phoneNumber,
+          phoneVerified: !!invitation.phoneNumber && invitation.phoneNumber === phoneNumber
+        }),
+        ...(invitation.schoolId && invitation.role !== 'superadmin' && {
+          memberships: {
+            create: { schoolId: invitation.schoolId, branchId: invitation.branchId, role: invitation.role }
+          }
+        })
+      }
+    });
+
+    await tx.invitation.update({
+      where: { id: invitation.id },
+      data: { acceptedUserId: user.id }
+    });
+
+    // Link the Teacher/Student/Guardian record the invitation was created for
+    if (invitation.teacherId) {
+      await tx.teacher.updateMany({
+        where: { id: invitation.teacherId, userId: null },
+        data: { userId: user.id }
+      });
+    }
+
+    if (invitation.studentId) {
+      await tx.student.updateMany({
+        where: { id: invitation.studentId, userId: null },
+        data: { userId: user.id }
+      });
+    }
+
+    if (invitation.guardianId) {
+      await tx.guardian.updateMany({
+        where: { id: invitation.guardianId, userId: null },
+        data: { userId: user.id }
+      });
+    }
+
+    return user;
+  });
+}
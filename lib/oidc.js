@@ -0,0 +1,375 @@
+// OpenID Connect single sign-on (authorization code flow with PKCE).
+//
+// Providers are configured with environment variables:
+//   OIDC_PROVIDERS="google,microsoft"       - enabled provider names
+//   OIDC_<NAME>_ISSUER                      - issuer URL (discovery is used for the endpoints)
+//   OIDC_<NAME>_CLIENT_ID                   - client id
+//   OIDC_<NAME>_CLIENT_SECRET               - client secret (omit for public clients)
+//   OIDC_<NAME>_LABEL                       - button label (default: the name)
+//   OIDC_<NAME>_SCOPES                      - default "openid email profile"
+//   OIDC_<NAME>_REDIRECT_URI                - default FRONTEND_URL/auth/oidc/<name>/callback
+//   OIDC_<NAME>_ALLOWED_DOMAINS             - comma-separated email domains allowed to sign in
+//   OIDC_<NAME>_DEFAULT_ROLE                - role for just-in-time provisioned users (default student)
+//   OIDC_<NAME>_SCHOOL                      - code of the school they join with that role
+//                                             (default: none - a superadmin adds them)
+//   OIDC_<NAME>_JIT                         - create unknown users on first login (default true)
+//   OIDC_<NAME>_TRUST_EMAIL                 - treat emails as verified even without email_verified
+//                                             (for issuers such as Microsoft that omit the claim)
+//
+// The state, nonce and PKCE verifier of a pending login are kept server-side
+// (OidcLoginState) so the browser only ever sees the state value.
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import { frontendUrl } from './email.js';
+import { ROLES } from '../middleware/roleCheck.js';
+import { defaultMembership } from './tenantContext.js';
+
+// Accounts that are never linked by email match
+const PRIVILEGED_ROLES = [ROLES.SUPERADMIN, ROLES.ADMIN];
+
+// A login has 10 minutes to come back from the issuer
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Discovery documents and signing keys are cached for an hour
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+const base64url = (buffer) => buffer.toString('base64url');
+
+const envFlag = (value, fallback) => value === undefined || value === '' ? fallback : value === 'true';
+
+/**
+ * Read a provider's configuration from the environment (null if not enabled)
+ */
+export function getOidcProvider(name) {
+  const enabled = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!name || !enabled.includes(name)) {
+    return null;
+  }
+
+  const env = (key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    console.warn(`⚠️  OIDC provider "${name}" is enabled but OIDC_${name.toUpperCase()}_ISSUER or _CLIENT_ID is missing`);
+    return null;
+  }
+
+  const defaultRole = env('DEFAULT_ROLE') || ROLES.STUDENT;
+  if (!Object.values(ROLES).includes(defaultRole) || defaultRole === ROLES.SUPERADMIN) {
+    console.warn(`⚠️  OIDC provider "${name}" has an invalid default role "${defaultRole}"`);
+    return null;
+  }
+
+  return {
+    name,
+    label: env('LABEL') || name,
+    issuer: env('ISSUER').replace(/\/$/, ''),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET') || null,
+    scopes: env('SCOPES') || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') || frontendUrl(`/auth/oidc/${name}/callback`),
+    allowedDomains: (env('ALLOWED_DOMAINS') || '')
+      .split(',')
+      .map((domain) => domain.trim().toLowerCase())
+      .filter(Boolean),
+    defaultRole,
+    schoolCode: env('SCHOOL') || null,
+    jit: envFlag(env('JIT'), true),
+    trustEmail: envFlag(env('TRUST_EMAIL'), false)
+  };
+}
+
+/**
+ * All usable providers
+ */
+export function listOidcProviders() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .map(getOidcProvider)
+    .filter(Boolean);
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`${url} responded ${response.status}: ${detail}`);
+  }
+  return body;
+}
+
+/**
+ * Fetch (and cache) the issuer's discovery document
+ */
+async function discover(provider) {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - CACHE_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer?.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`Issuer mismatch in discovery document: ${metadata.issuer}`);
+  }
+
+  discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+/**
+ * Find the issuer's signing key for a kid, refetching the JWKS once on a miss
+ * (the issuer may have rotated keys)
+ */
+async function getSigningKey(metadata, kid) {
+  const load = async () => {
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache.set(metadata.jwks_uri, { keys, fetchedAt: Date.now() });
+    return keys;
+  };
+
+  const cached = jwksCache.get(metadata.jwks_uri);
+  let keys = cached && cached.fetchedAt > Date.now() - CACHE_TTL_MS ? cached.keys : await load();
+  let jwk = keys.find((key) => key.kid === kid);
+
+  if (!jwk && cached) {
+    keys = await load();
+    jwk = keys.find((key) => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error(`Unknown signing key "${kid}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Start a login: store state, nonce and PKCE verifier and build the
+ * authorization URL to send the browser to
+ */
+export async function createAuthorizationRequest(provider) {
+  const metadata = await discover(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await prisma.oidcLoginState.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  await prisma.oidcLoginState.create({
+    data: {
+      stateHash: hashState(state),
+      provider: provider.name,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+    }
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { authorizationUrl: url.toString(), state };
+}
+
+/**
+ * Finish a login: check the state, exchange the code and validate the ID token.
+ * Returns { claims } or { error }.
+ */
+export async function completeAuthorization(provider, { code, state }) {
+  // Single use: delete the state as we read it
+  const pending = await prisma.oidcLoginState.findUnique({
+    where: { stateHash: hashState(state) }
+  });
+
+  if (!pending || pending.provider !== provider.name) {
+    return { error: 'Invalid or expired login state' };
+  }
+
+  const claimed = await prisma.oidcLoginState.deleteMany({ where: { id: pending.id } });
+  if (claimed.count === 0 || pending.expiresAt < new Date()) {
+    return { error: 'Invalid or expired login state' };
+  }
+
+  const metadata = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: params
+    });
+  } catch (error) {
+    console.error(`OIDC token exchange with ${provider.name} failed:`, error.message);
+    return { error: 'Could not complete sign-in with the identity provider' };
+  }
+
+  if (!tokens?.id_token) {
+    return { error: 'The identity provider did not return an ID token' };
+  }
+
+  let claims;
+  try {
+    const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+    if (!header || !ID_TOKEN_ALGORITHMS.includes(header.alg)) {
+      throw new Error(`Unsupported ID token algorithm "${header?.alg}"`);
+    }
+
+    claims = jwt.verify(tokens.id_token, await getSigningKey(metadata, header.kid), {
+      algorithms: [header.alg],
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    console.error(`OIDC ID token from ${provider.name} rejected:`, error.message);
+    return { error: 'Invalid ID token' };
+  }
+
+  if (claims.nonce !== pending.nonce) {
+    return { error: 'Invalid ID token' };
+  }
+
+  return { claims };
+}
+
+/**
+ * Find or create the user for a validated ID token:
+ * 1. an identity already linked to (provider, sub)
+ * 2. an existing user with the same verified email (the identity is linked) -
+ *    never for admin and super admin accounts, which could otherwise be taken
+ *    over by anyone who controls their email at the issuer
+ * 3. a new user with the provider's default role (just-in-time provisioning)
+ * Returns { user, created } or { error, status }.
+ */
+export async function resolveOidcUser(provider, claims) {
+  const email = claims.email ? String(claims.email).toLowerCase().trim() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true' || provider.trustEmail;
+
+  if (email && provider.allowedDomains.length > 0) {
+    const domain = email.split('@')[1];
+    if (!provider.allowedDomains.includes(domain)) {
+      return { error: 'This account is not allowed to sign in here', status: 403 };
+    }
+  } else if (provider.allowedDomains.length > 0) {
+    return { error: 'The identity provider did not share an email address', status: 403 };
+  }
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider: provider.name, subject: String(claims.sub) } },
+    include: { user: true }
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date(), email }
+    });
+    return { user: identity.user, created: false };
+  }
+
+  // Linking and provisioning both rely on the issuer vouching for the email
+  if (!email || !emailVerified) {
+    return { error: 'Your identity provider account has no verified email address', status: 403 };
+  }
+
+  const existing = await prisma.user.findUnique({
+    where: { email },
+    include: { memberships: { select: { role: true } } }
+  });
+
+  if (existing) {
+    const roles = [existing.role, ...existing.memberships.map((membership) => membership.role)];
+    if (roles.some((role) => PRIVILEGED_ROLES.includes(role))) {
+      return {
+        error: 'Administrator accounts cannot be linked to single sign-on automatically. Login with your password',
+        status: 403
+      };
+    }
+
+    await prisma.userIdentity.create({
+      data: {
+        userId: existing.id,
+        provider: provider.name,
+        subject: String(claims.sub),
+        email,
+        lastLoginAt: new Date()
+      }
+    });
+
+    const user = existing.emailVerified
+      ? existing
+      : await prisma.user.update({
+          where: { id: existing.id },
+          data: { emailVerified: true, emailVerifiedAt: new Date() }
+        });
+
+    return { user, created: false };
+  }
+
+  if (!provider.jit) {
+    return { error: 'No account exists for this email. Ask an administrator for an invitation', status: 403 };
+  }
+
+  // SSO-only accounts get an unusable random password; they can set one via forgot-password
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const user = await prisma.user.create({
+    data: {
+      email,
+      password,
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+      role: provider.defaultRole,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      memberships: await defaultMembership(provider.schoolCode, provider.defaultRole),
+      identities: {
+        create: {
+          provider: provider.name,
+          subject: String(claims.sub),
+          email,
+          lastLoginAt: new Date()
+        }
+      }
+    }
+  });
+
+  return { user, created: true };
+}
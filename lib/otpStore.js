@@ -0,0 +1,120 @@
+// OTP storage backends
+// Codes are stored hashed, keyed by phone number + purpose.
+// - database: shared by every serverless instance and survives cold starts (default)
+// - memory:   single-process Map, used for tests and local experiments (OTP_STORE=memory)
+//
+// Every store implements:
+//   save(phoneNumber, purpose, { codeHash, expiresAt })  - replaces any existing code
+//   get(phoneNumber, purpose)                            - { codeHash, expiresAt, attempts } or null
+//   claimAttempt(phoneNumber, purpose, codeHash, maxAttempts)
+//                                                        - atomically counts one attempt at this code if
+//                                                          fewer than maxAttempts were made; true if counted
+//   delete(phoneNumber, purpose)                         - true if a code was removed
+//   deleteExpired()
+
+import prisma from './prisma.js';
+
+/**
+ * In-memory OTP store
+ */
+export function createMemoryOTPStore() {
+  const entries = new Map();
+  const key = (phoneNumber, purpose) => `${purpose}:${phoneNumber}`;
+
+  return {
+    async save(phoneNumber, purpose, { codeHash, expiresAt }) {
+      entries.set(key(phoneNumber, purpose), { codeHash, expiresAt, attempts: 0 });
+    },
+
+    async get(phoneNumber, purpose) {
+      return entries.get(key(phoneNumber, purpose)) || null;
+    },
+
+    async claimAttempt(phoneNumber, purpose, codeHash, maxAttempts) {
+      const entry = entries.get(key(phoneNumber, purpose));
+      if (!entry || entry.codeHash !== codeHash || entry.attempts >= maxAttempts) {
+        return false;
+      }
+      entry.attempts++;
+      return true;
+    },
+
+    async delete(phoneNumber, purpose) {
+      return entries.delete(key(phoneNumber, purpose));
+    },
+
+    async deleteExpired() {
+      const now = new Date();
+      for (const [entryKey, entry] of entries.entries()) {
+        if (now > entry.expiresAt) {
+          entries.delete(entryKey);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Database-backed OTP store (OtpCode model)
+ */
+export function createDatabaseOTPStore() {
+  return {
+    async save(phoneNumber, purpose, { codeHash, expiresAt }) {
+      await prisma.otpCode.upsert({
+        where: { phoneNumber_purpose: { phoneNumber, purpose } },
+        create: { phoneNumber, purpose, codeHash, expiresAt },
+        update: { codeHash, expiresAt, attempts: 0 }
+      });
+    },
+
+    async get(phoneNumber, purpose) {
+      return await prisma.otpCode.findUnique({
+        where: { phoneNumber_purpose: { phoneNumber, purpose } },
+        select: { codeHash: true, expiresAt: true, attempts: true }
+      });
+    },
+
+    async claimAttempt(phoneNumber, purpose, codeHash, maxAttempts) {
+      // One conditional UPDATE, so parallel guesses cannot go past maxAttempts
+      const { count } = await prisma.otpCode.updateMany({
+        where: { phoneNumber, purpose, codeHash, attempts: { lt: maxAttempts } },
+        data: { attempts: { increment: 1 } }
+      });
+      return count === 1;
+    },
+
+    async delete(phoneNumber, purpose) {
+      const { count } = await prisma.otpCode.deleteMany({
+        where: { phoneNumber, purpose }
+      });
+      return count > 0;
+    },
+
+    async deleteExpired() {
+      await prisma.otpCode.deleteMany({
+        where: { expiresAt: { lt: new Date() } }
+      });
+    }
+  };
+}
+
+let otpStore = null;
+
+/**
+ * Get the configured OTP store
+ */
+export function getOTPStore() {
+  if (!otpStore) {
+    const useMemory = process.env.OTP_STORE === 'memory' ||
+                      (!process.env.OTP_STORE && process.env.NODE_ENV === 'test');
+    otpStore = useMemory ? createMemoryOTPStore() : createDatabaseOTPStore();
+  }
+  return otpStore;
+}
+
+/**
+ * Replace the OTP store (tests)
+ */
+export function setOTPStore(store) {
+  otpStore = store;
+}
@@ -0,0 +1,95 @@
+// Password policy - one place for the rules applied at registration, user
+// create/update, password reset and password change.
+//
+// Configure with:
+//   PASSWORD_MIN_LENGTH          minimum length (default 8)
+//   PASSWORD_REQUIRE_LOWERCASE   "true"/"false" (default true)
+//   PASSWORD_REQUIRE_UPPERCASE   "true"/"false" (default true)
+//   PASSWORD_REQUIRE_NUMBER      "true"/"false" (default true)
+//   PASSWORD_REQUIRE_SYMBOL      "true"/"false" (default false)
+// Passwords on the local denylist (data/common-passwords.txt) are always rejected.
+
+import fs from 'fs';
+
+const flag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+export const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+};
+
+// Maximum length - bcrypt ignores everything after 72 bytes
+const MAX_LENGTH = 72;
+
+const loadDenylist = () => {
+  try {
+    const content = fs.readFileSync(new URL('../data/common-passwords.txt', import.meta.url), 'utf8');
+    return new Set(
+      content
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.error('⚠️  Could not load common password list:', error.message);
+    return new Set();
+  }
+};
+
+const denylist = loadDenylist();
+
+/**
+ * Validate a password against the policy.
+ * Pass the user's email and name so passwords equal to them are rejected.
+ * Returns { valid: true } or { valid: false, errors: [{ rule, message }] }
+ */
+export function validatePassword(password, { email, name } = {}) {
+  if (typeof password !== 'string' || password === '') {
+    return { valid: false, errors: [{ rule: 'required', message: 'Password is required' }] };
+  }
+
+  const errors = [];
+  const fail = (rule, message) => errors.push({ rule, message });
+  const lowered = password.toLowerCase();
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    fail('minLength', `Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_LENGTH) {
+    fail('maxLength', `Password must be at most ${MAX_LENGTH} characters long`);
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    fail('lowercase', 'Password must contain a lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    fail('uppercase', 'Password must contain an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireNumber && !/\d/.test(password)) {
+    fail('number', 'Password must contain a number');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    fail('symbol', 'Password must contain a symbol');
+  }
+  if (denylist.has(lowered)) {
+    fail('common', 'Password is too common. Please choose a less predictable password');
+  }
+
+  const personal = [
+    email && String(email).toLowerCase().trim(),
+    email && String(email).toLowerCase().trim().split('@')[0],
+    name && String(name).toLowerCase().trim(),
+    name && String(name).toLowerCase().replace(/\s+/g, '')
+  ].filter(Boolean);
+
+  if (personal.includes(lowered)) {
+    fail('personal', 'Password must not be the same as your email or name');
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true };
+}
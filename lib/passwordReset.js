@@ -0,0 +1,50 @@
+// Password reset tokens for the email reset flow.
+// Tokens are signed JWTs carrying a fingerprint of the user's current password
+// hash, so they stop working as soon as the password changes (single use).
+
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { signToken, verifyToken } from './tokenService.js';
+
+// Reset links are valid for 30 minutes
+const RESET_TOKEN_TTL = '30m';
+
+/**
+ * Fingerprint of the stored password hash
+ */
+function passwordFingerprint(passwordHash) {
+  return crypto.createHash('sha256').update(passwordHash).digest('hex').substring(0, 16);
+}
+
+/**
+ * Create a password reset token for a user
+ */
+export function createPasswordResetToken(user) {
+  return signToken(
+    { userId: user.id, purpose: 'password_reset', pwd: passwordFingerprint(user.password) },
+    { expiresIn: RESET_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a password reset token and return the user it belongs to (or null)
+ */
+export async function verifyPasswordResetToken(token) {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch {
+    return null;
+  }
+
+  if (decoded.purpose !== 'password_reset') {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+  if (!user || passwordFingerprint(user.password) !== decoded.pwd) {
+    return null;
+  }
+
+  return user;
+}
@@ -1,48 +1,49 @@
 // Phone verification service using OTP (One-Time Password)
-// In production, integrate with SMS service like Twilio, AWS SNS, etc.
+// Codes are delivered through the configured SMS provider (see sms.js)
 
-// In-memory store for OTPs (in production, use Redis or database)
-const otpStore = new Map();
+import crypto from 'crypto';
+import { getOTPStore } from './otpStore.js';
+import { sendSMS } from './sms.js';
+import { getSecret } from './tokenService.js';
 
 // OTP expiration time (5 minutes)
 const OTP_EXPIRY = 5 * 60 * 1000;
 
+// Maximum wrong guesses before the OTP is discarded
+const MAX_ATTEMPTS = 5;
+
+// Codes are stored as an HMAC bound to the phone number and purpose, so a
+// leaked row cannot be replayed for another number or flow
+const OTP_SECRET = getSecret('OTP_SECRET');
+
+const hashOTP = (phoneNumber, purpose, otp) =>
+  crypto.createHmac('sha256', OTP_SECRET).update(`${purpose}:${phoneNumber}:${otp}`).digest('hex');
+
 /**
  * Generate a 6-digit OTP
  */
 export function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 }
 
 /**
  * Send OTP to phone number
- * In production, integrate with SMS service
+ * The purpose doubles as the SMS template name
  */
-export async function sendOTP(phoneNumber, otp) {
-  // For development: log the OTP to console
-  // In production, send via SMS service
-  console.log(`📱 OTP for ${phoneNumber}: ${otp}`);
-  console.log('⚠️  In production, this should be sent via SMS service');
-  
-  // Store OTP with expiration
-  otpStore.set(phoneNumber, {
-    otp,
-    expiresAt: Date.now() + OTP_EXPIRY,
-    attempts: 0
+export async function sendOTP(phoneNumber, otp, purpose = 'verification') {
+  // Store OTP (hashed) with expiration, replacing any previous code
+  const store = getOTPStore();
+  await store.save(phoneNumber, purpose, {
+    codeHash: hashOTP(phoneNumber, purpose, otp),
+    expiresAt: new Date(Date.now() + OTP_EXPIRY)
   });
 
-  // In production, uncomment and configure SMS service:
-  /*
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const client = require('twilio')(accountSid, authToken);
-
-  await client.messages.create({
-    body: `Your verification code is: ${otp}. Valid for 5 minutes.`,
-    from: process.env.TWILIO_PHONE_NUMBER,
-    to: phoneNumber
+  // Opportunistic cleanup instead of a timer - timers don't survive serverless invocations
+  store.deleteExpired().catch((error) => {
+    console.error('Failed to clean up expired OTPs:', error.message);
   });
-  */
+
+  await sendSMS({ to: phoneNumber, template: purpose, params: { otp } });
 
   return true;
 }
@@ -50,51 +51,47 @@ export async function sendOTP(phoneNumber, otp) {
 /**
  * Verify OTP for phone number
  */
-export function verifyOTP(phoneNumber, providedOTP) {
-  const stored = otpStore.get(phoneNumber);
+export async function verifyOTP(phoneNumber, providedOTP, purpose = 'verification') {
+  const store = getOTPStore();
+  const stored = await store.get(phoneNumber, purpose);
 
   if (!stored) {
     return { valid: false, error: 'OTP not found or expired' };
   }
 
   // Check expiration
-  if (Date.now() > stored.expiresAt) {
-    otpStore.delete(phoneNumber);
+  if (new Date() > new Date(stored.expiresAt)) {
+    await store.delete(phoneNumber, purpose);
     return { valid: false, error: 'OTP has expired' };
   }
 
-  // Check attempts (max 5 attempts)
-  if (stored.attempts >= 5) {
-    otpStore.delete(phoneNumber);
+  // Count this attempt before comparing (max 5 attempts). The store does it
+  // atomically, so parallel guesses cannot get past the limit.
+  if (!(await store.claimAttempt(phoneNumber, purpose, stored.codeHash, MAX_ATTEMPTS))) {
+    await store.delete(phoneNumber, purpose);
     return { valid: false, error: 'Too many failed attempts. Please request a new OTP.' };
   }
 
   // Verify OTP
-  if (stored.otp !== providedOTP) {
-    stored.attempts++;
+  const providedHash = hashOTP(phoneNumber, purpose, String(providedOTP));
+  if (!crypto.timingSafeEqual(Buffer.from(providedHash), Buffer.from(stored.codeHash))) {
     return { valid: false, error: 'Invalid OTP' };
   }
 
-  // OTP is valid, remove it
-  otpStore.delete(phoneNumber);
+  // OTP is valid, remove it. Only the request that removes it may use it.
+  if (!(await store.delete(phoneNumber, purpose))) {
+    return { valid: false, error: 'OTP not found or expired' };
+  }
   return { valid: true };
 }
 
 /**
- * Clean up expired OTPs (run periodically)
+ * Clean up expired OTPs
  */
-export function cleanupExpiredOTPs() {
-  const now = Date.now();
-  for (const [phoneNumber, data] of otpStore.entries()) {
-    if (now > data.expiresAt) {
-      otpStore.delete(phoneNumber);
-    }
-  }
+export async function cleanupExpiredOTPs() {
+  await getOTPStore().deleteExpired();
 }
 
-// Clean up expired OTPs every minute
-setInterval(cleanupExpiredOTPs, 60 * 1000);
-
 /**
  * Format phone number (remove spaces, dashes, etc.)
  */
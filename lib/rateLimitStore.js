@@ -0,0 +1,143 @@
+// Rate limit storage backends
+// Counters are kept per key in fixed windows; the middleware combines the
+// current and previous window into a sliding-window estimate.
+// - database: shared by every serverless instance (default)
+// - memory:   single-process, used for tests (RATE_LIMIT_STORE=memory)
+//
+// Every store implements:
+//   increment(key, windowStart)  - add a hit, resolves to the window's new count
+//   getCount(key, windowStart)
+//   getLock(key)                 - { lockedUntil, strikes } or null
+//   setLock(key, { lockedUntil, strikes })
+//   reset(key)                   - forget counters and lock for a key
+
+import prisma from './prisma.js';
+
+/**
+ * In-memory rate limit store
+ */
+export function createMemoryRateLimitStore() {
+  const buckets = new Map(); // key -> Map(windowStart ms -> count)
+  const locks = new Map();
+
+  return {
+    async increment(key, windowStart) {
+      const windows = buckets.get(key) || new Map();
+      const start = windowStart.getTime();
+      const count = (windows.get(start) || 0) + 1;
+      windows.set(start, count);
+
+      // Only the current and previous window are ever read
+      for (const oldStart of windows.keys()) {
+        if (oldStart < start && windows.size > 2) {
+          windows.delete(oldStart);
+        }
+      }
+
+      buckets.set(key, windows);
+      return count;
+    },
+
+    async getCount(key, windowStart) {
+      return buckets.get(key)?.get(windowStart.getTime()) || 0;
+    },
+
+    async getLock(key) {
+      return locks.get(key) || null;
+    },
+
+    async setLock(key, { lockedUntil, strikes }) {
+      locks.set(key, { lockedUntil, strikes });
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+      locks.delete(key);
+    }
+  };
+}
+
+/**
+ * Database-backed rate limit store (RateLimitBucket / RateLimitLock models)
+ */
+export function createDatabaseRateLimitStore() {
+  const upsertBucket = (key, windowStart) => prisma.rateLimitBucket.upsert({
+    where: { key_windowStart: { key, windowStart } },
+    create: { key, windowStart, count: 1 },
+    update: { count: { increment: 1 } },
+    select: { count: true }
+  });
+
+  return {
+    async increment(key, windowStart) {
+      let bucket;
+      try {
+        bucket = await upsertBucket(key, windowStart);
+      } catch (error) {
+        // Two instances created the same bucket at once - the row exists now
+        if (error.code !== 'P2002') throw error;
+        bucket = await upsertBucket(key, windowStart);
+      }
+
+      // Opportunistic cleanup of buckets nobody has touched for a day
+      if (Math.random() < 0.01) {
+        prisma.rateLimitBucket.deleteMany({
+          where: { updatedAt: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+        }).catch((error) => {
+          console.error('Failed to clean up rate limit buckets:', error.message);
+        });
+      }
+
+      return bucket.count;
+    },
+
+    async getCount(key, windowStart) {
+      const bucket = await prisma.rateLimitBucket.findUnique({
+        where: { key_windowStart: { key, windowStart } },
+        select: { count: true }
+      });
+      return bucket?.count || 0;
+    },
+
+    async getLock(key) {
+      return await prisma.rateLimitLock.findUnique({
+        where: { key },
+        select: { lockedUntil: true, strikes: true }
+      });
+    },
+
+    async setLock(key, { lockedUntil, strikes }) {
+      await prisma.rateLimitLock.upsert({
+        where: { key },
+        create: { key, lockedUntil, strikes },
+        update: { lockedUntil, strikes }
+      });
+    },
+
+    async reset(key) {
+      await prisma.rateLimitBucket.deleteMany({ where: { key } });
+      await prisma.rateLimitLock.deleteMany({ where: { key } });
+    }
+  };
+}
+
+let rateLimitStore = null;
+
+/**
+ * Get the configured rate limit store
+ */
+export function getRateLimitStore() {
+  if (!rateLimitStore) {
+    const useMemory = process.env.RATE_LIMIT_STORE === 'memory' ||
+                      (!process.env.RATE_LIMIT_STORE && process.env.NODE_ENV === 'test');
+    rateLimitStore = useMemory ? createMemoryRateLimitStore() : createDatabaseRateLimitStore();
+  }
+  return rateLimitStore;
+}
+
+/**
+ * Replace the rate limit store (tests)
+ */
+export function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
@@ -0,0 +1,250 @@
+// Roles and their permissions (Role / RolePermission).
+// The built-in roles cannot be renamed or deleted, and superadmin keeps
+// every permission. Custom roles pick their permissions from the PERMISSIONS
+// catalog in middleware/roleCheck.js; the ownership rules in the routes (own
+// lesson plans, own enrollments...) only apply to the built-in teacher,
+// student and guardian roles.
+
+import prisma from './prisma.js';
+import { ROLES, PERMISSIONS, invalidateRolePermissions, loadRolePermissions } from '../middleware/roleCheck.js';
+
+// Lowercase slug, stored in User.role
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+const BUILT_IN_LABELS = {
+  [ROLES.SUPERADMIN]: 'Super Admin',
+  [ROLES.ADMIN]: 'Admin',
+  [ROLES.TEACHER]: 'Teacher',
+  [ROLES.STUDENT]: 'Student',
+  [ROLES.GUARDIAN]: 'Guardian'
+};
+
+const ROLE_INCLUDE = {
+  permissions: { select: { permission: true }, orderBy: { permission: 'asc' } }
+};
+
+const formatRole = (role, userCount = 0) => ({
+  id: role.id,
+  name: role.name,
+  label: role.label,
+  description: role.description,
+  builtIn: role.builtIn,
+  permissions: role.permissions.map((entry) => entry.permission),
+  userCount,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt
+});
+
+const defaultPermissions = (role) =>
+  Object.keys(PERMISSIONS).filter((permission) => PERMISSIONS[permission].includes(role));
+
+/**
+ * Permission names that are not in the catalog
+ */
+export function unknownPermissions(permissions) {
+  return permissions.filter((permission) => !PERMISSIONS[permission]);
+}
+
+/**
+ * Check a permission list from a request body. Returns { permissions } or { error }.
+ */
+function parsePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.some((permission) => typeof permission !== 'string')) {
+    return { error: 'permissions must be an array of permission names' };
+  }
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return { error: `Unknown permissions: ${unknown.join(', ')}` };
+  }
+  return { permissions: [...new Set(permissions)] };
+}
+
+/**
+ * All roles with their permissions and how many users have them
+ */
+export async function listRoles() {
+  const [roles, counts] = await Promise.all([
+    prisma.role.findMany({ include: ROLE_INCLUDE, orderBy: [{ builtIn: 'desc' }, { name: 'asc' }] }),
+    prisma.user.groupBy({ by: ['role'], _count: { _all: true } })
+  ]);
+
+  const userCounts = new Map(counts.map((entry) => [entry.role, entry._count._all]));
+  return roles.map((role) => formatRole(role, userCounts.get(role.name) || 0));
+}
+
+/**
+ * One role, or null
+ */
+export async function getRole(id) {
+  const role = await prisma.role.findUnique({ where: { id }, include: ROLE_INCLUDE });
+  if (!role) {
+    return null;
+  }
+  const userCount = await prisma.user.count({ where: { role: role.name } });
+  return formatRole(role, userCount);
+}
+
+/**
+ * Create a custom role. Returns { role } or { error, status }.
+ */
+export async function createRole({ name, label, description, permissions = [] }) {
+  const normalizedName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+
+  if (!ROLE_NAME_PATTERN.test(normalizedName)) {
+    return { error: 'name must be 2-32 characters: lowercase letters, digits, "-" or "_", starting with a letter', status: 400 };
+  }
+
+  const parsed = parsePermissions(permissions);
+  if (parsed.error) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  const existing = await prisma.role.findUnique({ where: { name: normalizedName } });
+  if (existing || Object.values(ROLES).includes(normalizedName)) {
+    return { error: 'A role with this name already exists', status: 409 };
+  }
+
+  const role = await prisma.role.create({
+    data: {
+      name: normalizedName,
+      label: label?.trim() || normalizedName,
+      description: description?.trim() || null,
+      permissions: { create: parsed.permissions.map((permission) => ({ permission })) }
+    },
+    include: ROLE_INCLUDE
+  });
+
+  invalidateRolePermissions();
+  await loadRolePermissions();
+
+  return { role: formatRole(role) };
+}
+
+/**
+ * Update a role's label, description and/or permissions (the list replaces the
+ * current one). Returns { role } or { error, status }.
+ */
+export async function updateRole(id, { label, description, permissions }) {
+  const existing = await prisma.role.findUnique({ where: { id } });
+  if (!existing) {
+    return { error: 'Role not found', status: 404 };
+  }
+
+  let parsed = null;
+  if (permissions !== undefined) {
+    if (existing.name === ROLES.SUPERADMIN) {
+      return { error: 'The superadmin role always has every permission', status: 400 };
+    }
+    parsed = parsePermissions(permissions);
+    if (parsed.error) {
+      return { error: parsed.error, status: 400 };
+    }
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (parsed) {
+      await tx.rolePermission.deleteMany({ where: { roleId: id } });
+      await tx.rolePermission.createMany({
+        data: parsed.permissions.map((permission) => ({ roleId: id, permission }))
+      });
+    }
+
+    await tx.role.update({
+      where: { id },
+      data: {
+        ...(label !== undefined && { label: label?.trim() || existing.name }),
+        ...(description !== undefined && { description: description?.trim() || null })
+      }
+    });
+  });
+
+  invalidateRolePermissions();
+  await loadRolePermissions();
+
+  return { role: await getRole(id) };
+}
+
+/**
+ * Delete a custom role nobody has. Returns { role } or { error, status }.
+ */
+export async function deleteRole(id) {
+  const existing = await prisma.role.findUnique({ where: { id } });
+  if (!existing) {
+    return { error: 'Role not found', status: 404 };
+  }
+
+  if (existing.builtIn) {
+    return { error: 'Built-in roles cannot be deleted', status: 400 };
+  }
+
+  const userCount = await prisma.user.count({ where: { role: existing.name } });
+  if (userCount > 0) {
+    return { error: `${userCount} user(s) still have this role. Assign them another role first`, status: 409 };
+  }
+
+  await prisma.role.delete({ where: { id } });
+
+  invalidateRolePermissions();
+  await loadRolePermissions();
+
+  return { role: existing };
+}
+
+/**
+ * Create the built-in roles from the PERMISSIONS matrix. Safe to run again:
+ * - missing built-in roles are created with their default permissions
+ * - permissions no role has yet (added to the code since the last run) are
+ *   granted to their default built-in roles
+ * - with reset, the built-in roles' permissions are set back to the defaults
+ * Returns a summary of what changed.
+ */
+export async function seedRoles({ reset = false } = {}) {
+  const summary = { created: [], granted: [], reset: [] };
+
+  const known = new Set(
+    (await prisma.rolePermission.findMany({ distinct: ['permission'], select: { permission: true } }))
+      .map((entry) => entry.permission)
+  );
+
+  for (const name of Object.values(ROLES)) {
+    const permissions = defaultPermissions(name);
+    const existing = await prisma.role.findUnique({ where: { name } });
+
+    if (!existing) {
+      await prisma.role.create({
+        data: {
+          name,
+          label: BUILT_IN_LABELS[name],
+          builtIn: true,
+          permissions: { create: permissions.map((permission) => ({ permission })) }
+        }
+      });
+      summary.created.push(name);
+      continue;
+    }
+
+    if (reset) {
+      await prisma.$transaction(async (tx) => {
+        await tx.rolePermission.deleteMany({ where: { roleId: existing.id } });
+        await tx.rolePermission.createMany({
+          data: permissions.map((permission) => ({ roleId: existing.id, permission }))
+        });
+      });
+      summary.reset.push(name);
+      continue;
+    }
+
+    const added = permissions.filter((permission) => !known.has(permission));
+    if (added.length > 0) {
+      await prisma.rolePermission.createMany({
+        data: added.map((permission) => ({ roleId: existing.id, permission })),
+        skipDuplicates: true
+      });
+      summary.granted.push(...added.map((permission) => `${name}:${permission}`));
+    }
+  }
+
+  invalidateRolePermissions();
+
+  return summary;
+}
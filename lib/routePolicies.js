@@ -0,0 +1,52 @@
+// Startup self-check: every mounted route must declare an access policy
+// (requirePermission, authenticatedRoute or publicRoute from
+// middleware/roleCheck.js). Routes that only authenticate, or only check a
+// role, are reported so they cannot ship by accident.
+
+// Mount path of a router layer, recovered from the regexp Express 4 builds for it
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++]?.name}`)
+    .replace(/\\\//g, '/');
+};
+
+/**
+ * List the routes of an Express app or router as { method, path, policies }
+ */
+export function listRoutes(stack, prefix = '') {
+  const routes = [];
+
+  for (const layer of stack) {
+    if (layer.route) {
+      const policies = layer.route.stack
+        .map((routeLayer) => routeLayer.handle.policy)
+        .filter(Boolean);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method.toUpperCase(), path: prefix + layer.route.path, policies });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      routes.push(...listRoutes(layer.handle.stack, prefix + mountPath(layer)));
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Throw if any route of the app has no policy
+ */
+export function assertRoutePolicies(app) {
+  const missing = listRoutes(app._router.stack).filter((route) => route.policies.length === 0);
+
+  if (missing.length > 0) {
+    const list = missing.map((route) => `  ${route.method} ${route.path}`).join('\n');
+    throw new Error(`Routes without an access policy (add requirePermission, authenticatedRoute or publicRoute):\n${list}`);
+  }
+}
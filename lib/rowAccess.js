@@ -0,0 +1,101 @@
+// Row-level access rules, applied on top of the school filter of
+// lib/tenantContext.js.
+//
+// The built-in student, teacher and guardian roles only reach the rows that
+// concern them:
+// - students: their own Student record (grade included), enrollments,
+//   attendance, scores, submissions and messages, and the published assignments
+//   of their classes
+// - teachers: students enrolled in their classes, those classes' enrollments,
+//   attendance, assessments and assignments, the attendance alerts and
+//   guardians of those students, and their own messages
+// - guardians: their own Guardian record, their children's records,
+//   enrollments, attendance, scores, submissions and published assignments,
+//   their own messages and the messages between their children and teachers
+//   (read-only: only the receiver marks a message read)
+// Other roles are only limited to their schools.
+//
+// Rules read the request context (effective role and linked Teacher, Student or
+// Guardian records), so storage queries apply them through accessWhere() and list
+// endpoints need no per-route filtering. Rows outside the rules look like they
+// do not exist. An account without its linked record matches nothing.
+
+import { getTenantContext, tenantWhere } from './tenantContext.js';
+import { ROLES } from '../middleware/roleCheck.js';
+
+// Matches no row
+const NONE = { id: -1 };
+
+// Draft assignments are only visible to teachers and admins
+const PUBLISHED = { status: 'published' };
+
+const ownMessages = ({ userId }) => ({ OR: [{ senderId: userId }, { receiverId: userId }] });
+
+/**
+ * Filters for the messages children exchanged with teachers
+ */
+export const childTeacherMessages = (childIds) => [
+  { sender: { student: { is: { id: { in: childIds } } } }, receiver: { teacher: { isNot: null } } },
+  { receiver: { student: { is: { id: { in: childIds } } } }, sender: { teacher: { isNot: null } } }
+];
+
+const RULES = {
+  [ROLES.STUDENT]: {
+    student: ({ studentId }) => (studentId ? { id: studentId } : NONE),
+    enrollment: ({ studentId }) => (studentId ? { studentId } : NONE),
+    attendanceSession: ({ studentId }) => (studentId ? { class: { enrollments: { some: { studentId } } } } : NONE),
+    attendanceRecord: ({ studentId }) => (studentId ? { enrollment: { studentId } } : NONE),
+    attendanceAlert: ({ studentId }) => (studentId ? { studentId } : NONE),
+    assessment: ({ studentId }) => (studentId ? { class: { enrollments: { some: { studentId } } } } : NONE),
+    score: ({ studentId }) => (studentId ? { enrollment: { studentId } } : NONE),
+    assignment: ({ studentId }) => (studentId ? { ...PUBLISHED, class: { enrollments: { some: { studentId } } } } : NONE),
+    submission: ({ studentId }) => (studentId ? { enrollment: { studentId } } : NONE),
+    message: ownMessages
+  },
+  [ROLES.TEACHER]: {
+    student: ({ teacherId }) => (teacherId ? { enrollments: { some: { class: { teacherId } } } } : NONE),
+    enrollment: ({ teacherId }) => (teacherId ? { class: { teacherId } } : NONE),
+    attendanceSession: ({ teacherId }) => (teacherId ? { class: { teacherId } } : NONE),
+    attendanceRecord: ({ teacherId }) => (teacherId ? { session: { class: { teacherId } } } : NONE),
+    attendanceAlert: ({ teacherId }) => (teacherId ? { student: { enrollments: { some: { class: { teacherId } } } } } : NONE),
+    assessment: ({ teacherId }) => (teacherId ? { class: { teacherId } } : NONE),
+    score: ({ teacherId }) => (teacherId ? { assessment: { class: { teacherId } } } : NONE),
+    assignment: ({ teacherId }) => (teacherId ? { class: { teacherId } } : NONE),
+    submission: ({ teacherId }) => (teacherId ? { assignment: { class: { teacherId } } } : NONE),
+    guardian: ({ teacherId }) => (teacherId
+      ? { students: { some: { student: { enrollments: { some: { class: { teacherId } } } } } } }
+      : NONE),
+    message: ownMessages
+  },
+  [ROLES.GUARDIAN]: {
+    guardian: ({ guardianId }) => (guardianId ? { id: guardianId } : NONE),
+    student: ({ childIds }) => ({ id: { in: childIds } }),
+    enrollment: ({ childIds }) => ({ studentId: { in: childIds } }),
+    attendanceSession: ({ childIds }) => ({ class: { enrollments: { some: { studentId: { in: childIds } } } } }),
+    attendanceRecord: ({ childIds }) => ({ enrollment: { studentId: { in: childIds } } }),
+    attendanceAlert: ({ childIds }) => ({ studentId: { in: childIds } }),
+    assessment: ({ childIds }) => ({ class: { enrollments: { some: { studentId: { in: childIds } } } } }),
+    score: ({ childIds }) => ({ enrollment: { studentId: { in: childIds } } }),
+    assignment: ({ childIds }) => ({ ...PUBLISHED, class: { enrollments: { some: { studentId: { in: childIds } } } } }),
+    submission: ({ childIds }) => ({ enrollment: { studentId: { in: childIds } } }),
+    message: (context) => ({ OR: [...ownMessages(context).OR, ...childTeacherMessages(context.childIds)] })
+  }
+};
+
+/**
+ * Prisma filter of the current role's row rule for a model, or null when none applies
+ */
+export function rowFilter(model) {
+  const context = getTenantContext();
+  const rule = context && RULES[context.role]?.[model];
+  return rule ? rule(context) : null;
+}
+
+/**
+ * Add the school filter and the row rule to a where clause
+ */
+export function accessWhere(model, where = {}) {
+  const scoped = tenantWhere(model, where);
+  const filter = rowFilter(model);
+  return filter ? { ...scoped, AND: [...(scoped.AND || []), filter] } : scoped;
+}
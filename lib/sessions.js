@@ -0,0 +1,196 @@
+// Session service: short-lived access tokens plus rotating refresh tokens.
+// Each login creates a Session row; every refresh token issued for that login
+// belongs to it. Presenting an already-rotated refresh token revokes the whole
+// session (token family), which logs out both the attacker and the victim.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import { signToken, verifyToken } from './tokenService.js';
+
+// Access tokens are short-lived (default 15 minutes)
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Refresh tokens (and the session itself) live for 30 days by default
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage/lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign an access token bound to a session.
+ * Extra claims and a custom lifetime are used for impersonation tokens.
+ */
+export function signAccessToken(user, sessionId, { claims = {}, expiresIn = ACCESS_TOKEN_TTL } = {}) {
+  return signToken(
+    { ...claims, userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    { expiresIn }
+  );
+}
+
+/**
+ * Verify an access token and return its payload.
+ * Purpose-bound tokens (password reset, 2FA challenge, ...) are not access tokens.
+ */
+export function verifyAccessToken(token) {
+  const decoded = verifyToken(token);
+  if (decoded.purpose || !decoded.sid) {
+    throw new jwt.JsonWebTokenError('not an access token');
+  }
+  return decoded;
+}
+
+/**
+ * Issue a new refresh token for a session
+ */
+async function issueRefreshToken(sessionId, expiresAt) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await prisma.refreshToken.create({
+    data: {
+      sessionId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt
+    }
+  });
+
+  return refreshToken;
+}
+
+/**
+ * Start a new session for a user and return the token pair
+ */
+export async function createSession(user, req) {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      userAgent: req?.headers?.['user-agent']?.substring(0, 255) || null,
+      ipAddress: req?.ip || null,
+      expiresAt
+    }
+  });
+
+  const refreshToken = await issueRefreshToken(session.id, expiresAt);
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Returns { error } when the token is unknown, expired, revoked or reused.
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: { include: { user: true } } }
+  });
+
+  if (!stored) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const { session } = stored;
+
+  if (session.revokedAt) {
+    return { error: 'Session has been revoked' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    // Token was already rotated - someone is replaying it. Kill the family.
+    await revokeSession(session.id, 'reuse_detected');
+    console.warn(`⚠️  Refresh token reuse detected for user ${session.userId}, session ${session.id} revoked`);
+    return { error: 'Refresh token reuse detected. Please login again.' };
+  }
+
+  if (stored.expiresAt < new Date() || session.expiresAt < new Date()) {
+    return { error: 'Refresh token expired' };
+  }
+
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+  await prisma.session.update({
+    where: { id: session.id },
+    data: {
+      expiresAt,
+      lastUsedAt: new Date(),
+      ipAddress: req?.ip || session.ipAddress
+    }
+  });
+
+  const newRefreshToken = await issueRefreshToken(session.id, expiresAt);
+
+  return {
+    user: session.user,
+    token: signAccessToken(session.user, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Find the session a refresh token belongs to
+ */
+export async function findSessionByRefreshToken(refreshToken) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: true }
+  });
+  return stored?.session || null;
+}
+
+/**
+ * Check that a session exists, is not revoked and has not expired
+ */
+export async function isSessionActive(sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true }
+  });
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+/**
+ * Revoke a single session
+ */
+export async function revokeSession(sessionId, reason = 'logout') {
+  return await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ */
+export async function revokeAllUserSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+  return await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+}
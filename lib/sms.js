@@ -0,0 +1,89 @@
+// SMS service - renders message templates, sends them through the configured
+// provider (see smsProviders.js) and records every delivery attempt.
+
+import prisma from './prisma.js';
+import { createSmsProvider } from './smsProviders.js';
+
+// Message templates, keyed by name
+export const SMS_TEMPLATES = {
+  verification: ({ otp }) => `Your verification code is: ${otp}. Valid for 5 minutes.`,
+  password_reset: ({ otp }) => `Your password reset code is: ${otp}. Valid for 5 minutes. If you did not request this, ignore this message.`,
+  invitation: ({ role, link }) => `You have been invited to join as a ${role}. Create your account: ${link}`,
+  guardian_notice: ({ studentName, message }) => `About ${studentName}: ${message}`
+};
+
+let smsProvider = null;
+
+/**
+ * Get the configured SMS provider
+ */
+export function getSmsProvider() {
+  if (!smsProvider) {
+    smsProvider = createSmsProvider();
+  }
+  return smsProvider;
+}
+
+/**
+ * Replace the SMS provider (tests)
+ */
+export function setSmsProvider(provider) {
+  smsProvider = provider;
+}
+
+/**
+ * Render a template
+ */
+export function renderTemplate(template, params = {}) {
+  const render = SMS_TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown SMS template "${template}"`);
+  }
+  return render(params);
+}
+
+/**
+ * Record a delivery attempt. The message body is not stored because it may
+ * contain a one-time code.
+ */
+async function recordDelivery(data) {
+  try {
+    await prisma.smsMessage.create({ data });
+  } catch (error) {
+    console.error('Failed to record SMS delivery:', error.message);
+  }
+}
+
+/**
+ * Send a templated SMS. Throws if the provider rejects the message.
+ */
+export async function sendSMS({ to, template, params }) {
+  const provider = getSmsProvider();
+  const body = renderTemplate(template, params);
+
+  try {
+    const result = await provider.send({ to, body });
+
+    await recordDelivery({
+      to,
+      template,
+      provider: provider.name,
+      status: result.status || 'sent',
+      providerMessageId: result.providerMessageId || null
+    });
+
+    return result;
+  } catch (error) {
+    console.error(`Failed to send SMS via ${provider.name}:`, error.message);
+
+    await recordDelivery({
+      to,
+      template,
+      provider: provider.name,
+      status: 'failed',
+      error: error.message?.substring(0, 500)
+    });
+
+    throw error;
+  }
+}
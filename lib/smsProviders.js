@@ -0,0 +1,187 @@
+// SMS providers
+// Every provider implements send({ to, body }) and resolves to
+// { providerMessageId, status } or throws when the message was not accepted.
+//
+// Select one with SMS_PROVIDER:
+//   console        - log to the console (default, development)
+//   file           - append to a JSON-lines file (SMS_FAKE_FILE), for tests
+//   http           - POST JSON to any gateway (SMS_HTTP_URL, SMS_HTTP_TOKEN)
+//   twilio         - Twilio or a Twilio-compatible API (TWILIO_*)
+//   africastalking - Africa's Talking or a compatible API (AT_*)
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Console provider - logs the message instead of sending it
+ */
+export function createConsoleProvider() {
+  return {
+    name: 'console',
+    async send({ to, body }) {
+      console.log(`📱 SMS to ${to}: ${body}`);
+      console.log('⚠️  In production, configure SMS_PROVIDER to send real messages');
+      return { providerMessageId: null, status: 'sent' };
+    }
+  };
+}
+
+/**
+ * File provider - appends every message to a JSON-lines file so tests can
+ * assert on what would have been sent
+ */
+export function createFileProvider({ file = process.env.SMS_FAKE_FILE || path.join(os.tmpdir(), 'sms-outbox.jsonl') } = {}) {
+  return {
+    name: 'file',
+    file,
+    async send({ to, body }) {
+      const providerMessageId = crypto.randomUUID();
+      const entry = { id: providerMessageId, to, body, sentAt: new Date().toISOString() };
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+      return { providerMessageId, status: 'sent' };
+    },
+    async readAll() {
+      try {
+        const content = await fs.promises.readFile(file, 'utf8');
+        return content.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+    async clear() {
+      await fs.promises.rm(file, { force: true });
+    }
+  };
+}
+
+/**
+ * Generic HTTP provider - POSTs { to, message, from } as JSON
+ */
+export function createHttpProvider({
+  url = process.env.SMS_HTTP_URL,
+  token = process.env.SMS_HTTP_TOKEN,
+  from = process.env.SMS_FROM
+} = {}) {
+  if (!url) {
+    throw new Error('SMS_HTTP_URL is required for the http SMS provider');
+  }
+
+  return {
+    name: 'http',
+    async send({ to, body }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: JSON.stringify({ to, message: body, from })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      return { providerMessageId: data.id || data.messageId || null, status: data.status || 'sent' };
+    }
+  };
+}
+
+/**
+ * Twilio-compatible provider
+ */
+export function createTwilioProvider({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_PHONE_NUMBER,
+  baseUrl = process.env.TWILIO_API_URL || 'https://api.twilio.com'
+} = {}) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER are required for the twilio SMS provider');
+  }
+
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      const response = await fetch(`${baseUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Twilio error ${data.code || response.status}: ${data.message || 'request failed'}`);
+      }
+
+      return { providerMessageId: data.sid || null, status: data.status || 'queued' };
+    }
+  };
+}
+
+/**
+ * Africa's Talking-compatible provider
+ */
+export function createAfricasTalkingProvider({
+  username = process.env.AT_USERNAME,
+  apiKey = process.env.AT_API_KEY,
+  from = process.env.AT_SENDER_ID,
+  baseUrl = process.env.AT_API_URL || 'https://api.africastalking.com'
+} = {}) {
+  if (!username || !apiKey) {
+    throw new Error('AT_USERNAME and AT_API_KEY are required for the africastalking SMS provider');
+  }
+
+  return {
+    name: 'africastalking',
+    async send({ to, body }) {
+      const response = await fetch(`${baseUrl}/version1/messaging`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Accept: 'application/json',
+          apiKey
+        },
+        body: new URLSearchParams({ username, to, message: body, ...(from && { from }) })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Africa's Talking responded with ${response.status}`);
+      }
+
+      const data = await response.json();
+      const recipient = data.SMSMessageData?.Recipients?.[0];
+      if (!recipient || ![100, 101, 102].includes(recipient.statusCode)) {
+        throw new Error(`Africa's Talking rejected the message: ${recipient?.status || data.SMSMessageData?.Message || 'unknown error'}`);
+      }
+
+      return { providerMessageId: recipient.messageId || null, status: recipient.status?.toLowerCase() || 'sent' };
+    }
+  };
+}
+
+const PROVIDERS = {
+  console: createConsoleProvider,
+  file: createFileProvider,
+  http: createHttpProvider,
+  twilio: createTwilioProvider,
+  africastalking: createAfricasTalkingProvider
+};
+
+/**
+ * Create the provider named by SMS_PROVIDER (or the given name)
+ */
+export function createSmsProvider(name = process.env.SMS_PROVIDER || 'console') {
+  const factory = PROVIDERS[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown SMS provider "${name}". Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
@@ -0,0 +1,290 @@
+// School/branch multi-tenancy.
+//
+// Users belong to schools through SchoolMembership rows, each with its own role
+// (and optionally limited to one branch). authenticate resolves the request's
+// tenant context and runs the rest of the request inside it, so the queries in
+// data/storage.js filter themselves with tenantWhere() without the routes
+// passing anything along.
+//
+// - superadmins see everything, unless they pick a school with X-School-Id
+// - everyone else sees records of their schools (branch members: their branch
+//   and school-wide records) and the users who are members there
+// - records that belong to no school yet are only visible to users who belong
+//   to no school either (a deployment that has not set up schools); users
+//   without a membership are only visible to superadmins (and themselves)
+// - X-School-Id: <id> narrows a request to one of the user's schools and uses
+//   the role of that membership. Without it, a user whose memberships all have
+//   the same role acts with that role in all their schools; a user with
+//   different roles must send the header (the account role never applies to
+//   a school)
+//
+// Outside a request (scripts, seeding) there is no context and nothing is filtered.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import prisma from './prisma.js';
+
+export const TENANT_HEADER = 'x-school-id';
+
+const storage = new AsyncLocalStorage();
+
+// Models that carry schoolId/branchId themselves
+const DIRECT_MODELS = ['student', 'teacher', 'class', 'invitation'];
+
+const tenantError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Work out the tenant context and effective role of an authenticated user
+ * (selected with their memberships). Returns { context, role } or
+ * { error, status, schools } (schools: the ids to choose from when the
+ * header is required).
+ */
+export function resolveTenantContext(user, schoolHeader) {
+  const memberships = (user.memberships || []).map(({ schoolId, branchId, role }) => ({ schoolId, branchId, role }));
+  const isSuperAdmin = user.role === 'superadmin';
+
+  if (schoolHeader) {
+    if (!/^\d+$/.test(String(schoolHeader).trim())) {
+      return { error: 'X-School-Id must be a school id', status: 400 };
+    }
+    const schoolId = parseInt(schoolHeader);
+
+    if (isSuperAdmin) {
+      return {
+        context: { userId: user.id, role: user.role, unrestricted: false, memberships: [{ schoolId, branchId: null, role: user.role }], activeSchoolId: schoolId },
+        role: user.role
+      };
+    }
+
+    const membership = memberships.find((entry) => entry.schoolId === schoolId);
+    if (!membership) {
+      return { error: 'You are not a member of this school', status: 403 };
+    }
+
+    return {
+      context: { userId: user.id, role: membership.role, unrestricted: false, memberships: [membership], activeSchoolId: schoolId },
+      role: membership.role
+    };
+  }
+
+  if (isSuperAdmin) {
+    return { context: { userId: user.id, role: user.role, unrestricted: true, memberships, activeSchoolId: null }, role: user.role };
+  }
+
+  // Not a member of any school yet: the account role, limited to records without a school
+  if (memberships.length === 0) {
+    return { context: { userId: user.id, role: user.role, unrestricted: false, memberships, activeSchoolId: null }, role: user.role };
+  }
+
+  const roles = new Set(memberships.map((entry) => entry.role));
+  if (roles.size > 1) {
+    return {
+      error: 'You have different roles in your schools. Send an X-School-Id header to choose the school',
+      status: 400,
+      schools: [...new Set(memberships.map((entry) => entry.schoolId))]
+    };
+  }
+
+  const [role] = roles;
+  return {
+    context: {
+      userId: user.id,
+      role,
+      unrestricted: false,
+      memberships,
+      activeSchoolId: memberships.length === 1 ? memberships[0].schoolId : null
+    },
+    role
+  };
+}
+
+/**
+ * Run fn (e.g. the rest of the middleware chain) inside a tenant context
+ */
+export function runWithTenant(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The current request's tenant context, or null outside a request
+ */
+export function getTenantContext() {
+  return storage.getStore() || null;
+}
+
+const isUnrestricted = (context) => !context || context.unrestricted;
+
+// Records of one membership: the whole school, or one branch plus school-wide records
+const membershipFilter = ({ schoolId, branchId }) => branchId
+  ? { schoolId, OR: [{ branchId: null }, { branchId }] }
+  : { schoolId };
+
+// Records owned by the memberships' schools, or without a school for users without one
+const ownedFilter = (memberships) => memberships.length > 0
+  ? { OR: memberships.map(membershipFilter) }
+  : { schoolId: null };
+
+/**
+ * Prisma filter limiting a model to the current tenant, or null when unrestricted
+ */
+export function tenantFilter(model) {
+  const context = getTenantContext();
+  if (isUnrestricted(context)) {
+    return null;
+  }
+
+  const { memberships } = context;
+
+  if (DIRECT_MODELS.includes(model)) {
+    return ownedFilter(memberships);
+  }
+
+  switch (model) {
+    case 'school':
+      return { id: { in: memberships.map((entry) => entry.schoolId) } };
+    case 'branch':
+      return {
+        OR: [
+          { id: -1 }, // Keeps OR non-empty for users without memberships
+          ...memberships.map((entry) => entry.branchId ? { id: entry.branchId } : { schoolId: entry.schoolId })
+        ]
+      };
+    case 'enrollment':
+      return { class: tenantFilter('class') };
+    case 'attendanceSession':
+      return { class: tenantFilter('class') };
+    case 'attendanceRecord':
+      return { session: { class: tenantFilter('class') } };
+    case 'attendanceAlert':
+      return { student: tenantFilter('student') };
+    case 'assessment':
+      return { class: tenantFilter('class') };
+    case 'score':
+      return { assessment: { class: tenantFilter('class') } };
+    case 'gradeScale':
+      return { school: tenantFilter('school') };
+    case 'assignment':
+      return { class: tenantFilter('class') };
+    case 'submission':
+      return { assignment: { class: tenantFilter('class') } };
+    case 'lessonPlan':
+      return { teacher: tenantFilter('teacher') };
+    case 'user':
+      // Members of the same schools, and the user themselves
+      return {
+        OR: [
+          { id: context.userId },
+          { memberships: { some: { schoolId: { in: memberships.map((entry) => entry.schoolId) } } } }
+        ]
+      };
+    case 'guardian':
+      // Guardians the schools manage, and guardians of the schools' students
+      return {
+        OR: [
+          ownedFilter(memberships),
+          { students: { some: { student: tenantFilter('student') } } }
+        ]
+      };
+    case 'message':
+      // Between users, not tied to a school
+      return null;
+    default:
+      throw new Error(`No tenant filter for model "${model}"`);
+  }
+}
+
+/**
+ * Nested create for the membership a self-service account gets in the school
+ * with the given code (e.g. PUBLIC_REGISTRATION_SCHOOL), or undefined when no
+ * code is set. Superadmin is never a membership role.
+ */
+export async function defaultMembership(schoolCode, role) {
+  if (!schoolCode || role === 'superadmin') {
+    return undefined;
+  }
+
+  const school = await prisma.school.findUnique({ where: { code: schoolCode }, select: { id: true } });
+  if (!school) {
+    console.warn(`⚠️  School "${schoolCode}" not found - the new account is not added to a school`);
+    return undefined;
+  }
+
+  return { create: { schoolId: school.id, role } };
+}
+
+/**
+ * Add the tenant filter to a where clause. Works for findMany/count/groupBy and,
+ * with Prisma 5's extended unique filters, for findUnique/update/delete by id.
+ */
+export function tenantWhere(model, where = {}) {
+  const filter = tenantFilter(model);
+  return filter ? { ...where, AND: [...(where.AND || []), filter] } : where;
+}
+
+/**
+ * Check or fill in the school and branch of a record being created or moved.
+ * Returns { schoolId, branchId } to merge into the data; throws an error with
+ * a status (400/403) when the target is outside the user's schools.
+ * Leaving both out keeps the record where it is (update) or puts it in the
+ * active school (create).
+ */
+export async function assignTenant({ schoolId, branchId } = {}, { create = false } = {}) {
+  const context = getTenantContext();
+  const given = (value) => value !== undefined && value !== '';
+
+  let targetSchoolId = given(schoolId) ? (schoolId === null ? null : parseInt(schoolId)) : undefined;
+  let targetBranchId = given(branchId) ? (branchId === null ? null : parseInt(branchId)) : undefined;
+
+  if (targetSchoolId === undefined && targetBranchId === undefined && !create) {
+    return {};
+  }
+
+  let branch = null;
+  if (targetBranchId) {
+    branch = await prisma.branch.findUnique({ where: { id: targetBranchId }, select: { id: true, schoolId: true } });
+    if (!branch) {
+      throw tenantError('Branch not found', 400);
+    }
+    if (targetSchoolId === undefined) {
+      targetSchoolId = branch.schoolId;
+    } else if (branch.schoolId !== targetSchoolId) {
+      throw tenantError('The branch does not belong to this school', 400);
+    }
+  }
+
+  if (isUnrestricted(context)) {
+    return { schoolId: targetSchoolId ?? null, branchId: targetBranchId ?? null };
+  }
+
+  // Default to the active school (and a branch member's branch)
+  if (targetSchoolId === undefined) {
+    if (context.activeSchoolId) {
+      targetSchoolId = context.activeSchoolId;
+    } else if (context.memberships.length > 0) {
+      throw tenantError('schoolId is required (or send an X-School-Id header)', 400);
+    } else {
+      targetSchoolId = null;
+    }
+  }
+
+  if (targetSchoolId === null) {
+    if (context.memberships.length > 0) {
+      throw tenantError('Records must belong to one of your schools', 403);
+    }
+    return { schoolId: null, branchId: null };
+  }
+
+  const membership = context.memberships.find((entry) => entry.schoolId === targetSchoolId);
+  if (!membership) {
+    throw tenantError('You can only assign records to your own schools', 403);
+  }
+
+  if (membership.branchId) {
+    if (targetBranchId === undefined) {
+      targetBranchId = membership.branchId;
+    } else if (targetBranchId !== membership.branchId) {
+      throw tenantError('You can only assign records to your own branch', 403);
+    }
+  }
+
+  return { schoolId: targetSchoolId, branchId: targetBranchId ?? null };
+}
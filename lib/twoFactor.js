@@ -0,0 +1,211 @@
+// Two-factor authentication (TOTP) for user accounts.
+// Secrets are encrypted at rest, recovery codes are stored hashed, and the
+// two-step login hands out a short-lived challenge token between the password
+// step and the code step.
+
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { signToken, verifyToken, getSecret } from './tokenService.js';
+import { generateSecret, verifyTOTP, buildOtpauthUrl } from './totp.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Class Management System';
+
+// Roles that must use two-factor authentication, e.g. "superadmin,admin"
+const REQUIRED_ROLES = (process.env.TOTP_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+// Roles that may enroll at all
+export const TWO_FACTOR_ROLES = ['superadmin', 'admin'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Challenge tokens bridge the password step and the code step
+const CHALLENGE_TTL = '5m';
+
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(getSecret('TOTP_ENCRYPTION_KEY'))
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+/**
+ * Whether a role is required to use two-factor authentication
+ */
+export function isTwoFactorRequired(role) {
+  return REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Whether a user has to complete a second step at login
+ */
+export function needsSecondFactor(user) {
+  return user.totpEnabled || isTwoFactorRequired(user.role);
+}
+
+/**
+ * Create a challenge token. Purpose is 'login' for the code step, or
+ * 'enroll' when a required user has not enrolled yet.
+ */
+export function createChallengeToken(user, purpose) {
+  return signToken(
+    { userId: user.id, purpose: `2fa_${purpose}` },
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Verify a challenge token and return its userId (or null)
+ */
+export function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = verifyToken(token);
+    return decoded.purpose === `2fa_${purpose}` ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start enrollment: generate and store a pending secret.
+ * Returns the secret and the otpauth:// URI to render as a QR code.
+ */
+export async function beginEnrollment(user) {
+  const secret = generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      totpSecret: encryptSecret(secret),
+      totpEnabled: false,
+      totpLastUsedStep: null
+    }
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+  };
+}
+
+/**
+ * Replace a user's recovery codes. Returns the plain codes (shown once).
+ */
+export async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  // Interactive form - the retry wrapper in prisma.js turns model calls into plain promises
+  await prisma.$transaction(async (tx) => {
+    await tx.recoveryCode.deleteMany({ where: { userId } });
+    await tx.recoveryCode.createMany({
+      data: codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) }))
+    });
+  });
+
+  return codes;
+}
+
+/**
+ * Verify a TOTP code for a user, rejecting replays of an already used code
+ */
+export async function verifyUserTOTP(user, code) {
+  if (!user.totpSecret) {
+    return false;
+  }
+
+  const step = verifyTOTP(decryptSecret(user.totpSecret), code, { afterStep: user.totpLastUsedStep });
+  if (step === null) {
+    return false;
+  }
+
+  // Only succeed if nobody used this (or a later) step in the meantime
+  const updated = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+    },
+    data: { totpLastUsedStep: step }
+  });
+
+  return updated.count === 1;
+}
+
+/**
+ * Finish enrollment by confirming a code from the authenticator app.
+ * Returns the recovery codes, or null if the code is wrong.
+ */
+export async function confirmEnrollment(user, code) {
+  if (!(await verifyUserTOTP(user, code))) {
+    return null;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpEnabled: true }
+  });
+
+  return await generateRecoveryCodes(user.id);
+}
+
+/**
+ * Use a recovery code. Each code works once.
+ */
+export async function consumeRecoveryCode(userId, code) {
+  const consumed = await prisma.recoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(String(code)), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return consumed.count === 1;
+}
+
+/**
+ * Verify either a TOTP code or a recovery code
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    return await verifyUserTOTP(user, code);
+  }
+  if (recoveryCode) {
+    return await consumeRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+}
+
+/**
+ * Remove two-factor authentication from an account
+ */
+export async function disableTwoFactor(userId) {
+  await prisma.$transaction(async (tx) => {
+    await tx.recoveryCode.deleteMany({ where: { userId } });
+    await tx.user.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpEnabled: false, totpLastUsedStep: null }
+    });
+  });
+}
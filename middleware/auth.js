@@ -1,12 +1,99 @@
-import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
+import { verifyAccessToken, isSessionActive } from '../lib/sessions.js';
+import { isRestrictedForUnverified } from '../lib/emailVerification.js';
+import { impersonationBlockReason, isWriteRequest } from '../lib/impersonation.js';
+import { recordAudit } from '../lib/auditLog.js';
+import { isApiKey, verifyApiKey } from '../lib/apiKeys.js';
+import { resolveTenantContext, runWithTenant, TENANT_HEADER } from '../lib/tenantContext.js';
+import { guardianMemberships } from '../lib/guardians.js';
 
-// Authentication middleware - verifies JWT token
+// Fields of the authenticated user attached to req.user
+export const AUTH_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  phoneNumber: true,
+  phoneVerified: true,
+  emailVerified: true,
+  createdAt: true,
+  teacher: { select: { id: true, name: true, email: true } },
+  student: { select: { id: true, name: true, email: true } },
+  guardian: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      students: { select: { student: { select: { id: true, schoolId: true } } } }
+    }
+  },
+  memberships: { select: { schoolId: true, branchId: true, role: true } }
+};
+
+// Attach the user (selected with AUTH_USER_SELECT) to the request.
+// Returns false after responding when the unverified-email policy blocks the
+// request, X-School-Id names a school the user does not belong to, or the user
+// has different roles in their schools and sent no X-School-Id.
+const attachUser = (req, res, found) => {
+  const { teacher, student, guardian, memberships: ownMemberships, ...user } = found;
+
+  // Guardians also act as members of their children's schools
+  const memberships = [...ownMemberships, ...guardianMemberships(guardian, ownMemberships)];
+
+  // Apply the unverified-email policy (EMAIL_VERIFICATION_POLICY)
+  if (!user.emailVerified && isRestrictedForUnverified(req)) {
+    res.status(403).json({ 
+      error: 'Email not verified',
+      message: 'Please verify your email address to perform this action'
+    });
+    return false;
+  }
+
+  // Schools the request may touch; a membership's role replaces the account role
+  const tenant = resolveTenantContext({ ...user, memberships }, req.headers[TENANT_HEADER]);
+  if (tenant.error) {
+    res.status(tenant.status).json({ 
+      error: 'Access forbidden',
+      message: tenant.error,
+      ...(tenant.schools && { schools: tenant.schools })
+    });
+    return false;
+  }
+
+  // Attach user to request object
+  req.user = user;
+  req.userId = user.id;
+  req.userRole = tenant.role;
+  req.memberships = memberships;
+  // The linked records drive the row rules of lib/rowAccess.js
+  req.tenant = {
+    ...tenant.context,
+    teacherId: teacher?.id ?? null,
+    studentId: student?.id ?? null,
+    guardianId: guardian?.id ?? null,
+    childIds: guardian ? guardian.students.map((link) => link.student.id) : []
+  };
+
+  // Linked Teacher/Student/Guardian records (null when the account has none)
+  req.teacher = teacher;
+  req.student = student;
+  req.guardian = guardian && { id: guardian.id, name: guardian.name, email: guardian.email };
+
+  return true;
+};
+
+// Authentication middleware - verifies JWT token or API key
+// API keys are accepted as a Bearer token or in the X-API-Key header
 export const authenticate = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
+    const apiKeyHeader = req.headers['x-api-key'];
     
+    if (apiKeyHeader) {
+      return authenticateApiKey(req, res, next, String(apiKeyHeader));
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ 
         error: 'Authentication required',
@@ -17,36 +104,46 @@ export const authenticate = async (req, res, next) => {
     // Extract token
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    if (isApiKey(token)) {
+      return authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session was revoked (logout, password change, reuse detection)
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ 
+        error: 'Session revoked',
+        message: 'Your session is no longer valid. Please login again'
+      });
+    }
 
     // Get user from database
-    const user = await prisma.user.findUnique({
+    const found = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        phoneNumber: true,
-        phoneVerified: true,
-        createdAt: true
-      }
+      select: AUTH_USER_SELECT
     });
 
-    if (!user) {
+    if (!found) {
       return res.status(401).json({ 
         error: 'User not found',
         message: 'The user associated with this token no longer exists'
       });
     }
 
-    // Attach user to request object
-    req.user = user;
-    req.userId = user.id;
-    req.userRole = user.role;
+    if (!attachUser(req, res, found)) {
+      return;
+    }
 
-    next();
+    req.sessionId = decoded.sid;
+
+    if (decoded.impersonation) {
+      return applyImpersonation(req, res, next, decoded);
+    }
+
+    // The rest of the request runs in the user's tenant context (data/storage.js filters by it)
+    runWithTenant(req.tenant, next);
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
@@ -70,7 +167,101 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Requests made with an API key. Keys cannot manage the account they belong to
+// (only GET /api/auth/me and /api/auth/permissions are available under
+// /api/auth); everything else is limited to the key's scopes by requirePermission.
+const API_KEY_AUTH_PATHS = ['/api/auth/me', '/api/auth/permissions'];
+
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const result = await verifyApiKey(key, req);
+
+    if (result.error) {
+      return res.status(401).json({ 
+        error: 'Invalid API key',
+        message: result.error
+      });
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    if (path.startsWith('/api/auth/') && !(req.method === 'GET' && API_KEY_AUTH_PATHS.includes(path))) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'API keys cannot be used for account management'
+      });
+    }
+
+    const found = await prisma.user.findUnique({
+      where: { id: result.apiKey.userId },
+      select: AUTH_USER_SELECT
+    });
+
+    if (!attachUser(req, res, found)) {
+      return;
+    }
+
+    req.sessionId = null;
+    req.apiKey = { id: result.apiKey.id, name: result.apiKey.name, scopes: result.apiKey.scopes };
+
+    runWithTenant(req.tenant, next);
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({ 
+      error: 'Authentication failed',
+      message: 'An error occurred during authentication'
+    });
+  }
+};
+
+// Requests made with an impersonation token: check the real user is still a
+// superadmin, block what the session does not allow and audit every write
+const applyImpersonation = async (req, res, next, decoded) => {
+  const actor = await prisma.user.findUnique({
+    where: { id: decoded.act?.userId },
+    select: { id: true, email: true, name: true, role: true }
+  });
+
+  if (!actor || actor.role !== 'superadmin') {
+    return res.status(401).json({ 
+      error: 'Impersonation not permitted',
+      message: 'The impersonating user is no longer a super admin'
+    });
+  }
+
+  req.impersonator = actor;
+  req.impersonation = { sessionId: decoded.sid, allowDestructive: !!decoded.allowDestructive };
+
+  const audit = (action, statusCode, details = null) => recordAudit({
+    action,
+    actorId: actor.id,
+    targetUserId: req.userId,
+    sessionId: decoded.sid,
+    req,
+    statusCode,
+    details
+  });
+
+  const blockReason = impersonationBlockReason(req, req.impersonation.allowDestructive);
+  if (blockReason) {
+    await audit('impersonation.blocked', 403, { reason: blockReason });
+    return res.status(403).json({ 
+      error: 'Not allowed while impersonating',
+      message: blockReason
+    });
+  }
+
+  if (isWriteRequest(req)) {
+    res.on('finish', () => {
+      audit('impersonation.write', res.statusCode);
+    });
+  }
+
+  runWithTenant(req.tenant, next);
+};
+
 // Role-based authorization middleware
+// Not a route policy on its own: routes declare requirePermission (roleCheck.js),
+// which the startup self-check looks for
 export const authorize = (...allowedRoles) => {
   return (req, res, next) => {
     // Ensure user is authenticated first
@@ -81,6 +272,14 @@ export const authorize = (...allowedRoles) => {
       });
     }
 
+    // API keys are scoped by permission; role-only endpoints do not accept them
+    if (req.apiKey) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'This endpoint does not accept API keys'
+      });
+    }
+
     // Check if user's role is in the allowed roles
     if (!allowedRoles.includes(req.userRole)) {
       return res.status(403).json({ 
@@ -134,7 +333,7 @@ export const canManageResource = async (req, res, next) => {
   }
 
   // Admins can manage everything
-  if (req.userRole === 'admin') {
+  if (req.userRole === 'admin' || req.userRole === 'superadmin') {
     return next();
   }
 
@@ -150,7 +349,7 @@ export const canManageResource = async (req, res, next) => {
         select: { teacherId: true }
       });
 
-      if (classItem && classItem.teacherId === req.userId) {
+      if (classItem && req.teacher && classItem.teacherId === req.teacher.id) {
         return next();
       }
     }
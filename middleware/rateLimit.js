@@ -0,0 +1,187 @@
+import { getRateLimitStore } from '../lib/rateLimitStore.js';
+import { formatPhoneNumber } from '../lib/phoneVerification.js';
+import { verifyChallengeToken } from '../lib/twoFactor.js';
+
+// Parse a limit such as "5/15m" into { max, windowMs } (units: s, m, h, d)
+const parseLimit = (value) => {
+  const match = /^(\d+)\/(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid rate limit "${value}". Expected format like "5/15m"`);
+  }
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * units[match[3]] };
+};
+
+// Read a limit from the environment, falling back to a default
+const limitFromEnv = (name, fallback) => parseLimit(process.env[name] || fallback);
+
+// Lockouts double with every strike, up to this cap
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Lockout strikes are forgotten after a day without being locked
+const STRIKE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Request key extractors
+export const byIp = (req) => req.ip;
+export const byEmail = (req) => req.body?.email ? String(req.body.email).toLowerCase().trim() : null;
+export const byPhone = (req) => req.body?.phoneNumber ? formatPhoneNumber(String(req.body.phoneNumber)) : null;
+
+export const byUser = (req) => req.userId || null;
+
+// The authenticated user, or the user a verified 2FA challenge token names.
+// Requests without a valid token are bucketed by IP, so a forged token cannot
+// spend another user's attempts.
+export const byTwoFactorUser = (req) => {
+  if (req.userId) return req.userId;
+  const token = req.body?.challengeToken ? String(req.body.challengeToken) : null;
+  const userId = token && (verifyChallengeToken(token, 'login') || verifyChallengeToken(token, 'enroll'));
+  return userId || `ip:${req.ip}`;
+};
+
+// Sliding window estimate: the current window plus the overlapping part of the previous one
+const consume = async (store, key, windowMs) => {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const current = await store.increment(key, new Date(windowStart));
+  const previous = await store.getCount(key, new Date(windowStart - windowMs));
+  const overlap = 1 - (now - windowStart) / windowMs;
+  return previous * overlap + current;
+};
+
+// Lock a key, backing off exponentially on repeated lockouts
+const lockOut = async (store, key, windowMs) => {
+  const now = Date.now();
+  const previous = await store.getLock(key);
+  const strikes = previous && new Date(previous.lockedUntil).getTime() > now - STRIKE_MEMORY_MS
+    ? previous.strikes + 1
+    : 1;
+  const lockedUntil = new Date(now + Math.min(windowMs * 2 ** (strikes - 1), MAX_LOCKOUT_MS));
+  await store.setLock(key, { lockedUntil, strikes });
+  return lockedUntil;
+};
+
+const tooManyRequests = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message: `Too many attempts. Please try again in ${retryAfter} seconds`,
+    retryAfter
+  });
+};
+
+// Rate limiting middleware
+// rules: [{ scope, key: (req) => value, max, windowMs, resetOnSuccess }]
+// Rules with resetOnSuccess can be cleared by the handler via req.resetRateLimit()
+// (e.g. a successful login clears the per-email failure count).
+export const rateLimit = (name, rules) => {
+  return async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      const now = new Date();
+
+      const keyed = rules
+        .map((rule) => ({ rule, value: rule.key(req) }))
+        .filter(({ value }) => value)
+        .map(({ rule, value }) => ({ rule, key: `${name}:${rule.scope}:${value}` }));
+
+      // Reject while any key is locked out
+      for (const { key } of keyed) {
+        const lock = await store.getLock(key);
+        if (lock && new Date(lock.lockedUntil) > now) {
+          return tooManyRequests(res, lock.lockedUntil);
+        }
+      }
+
+      for (const { rule, key } of keyed) {
+        const count = await consume(store, key, rule.windowMs);
+        if (count > rule.max) {
+          const lockedUntil = await lockOut(store, key, rule.windowMs);
+          console.warn(`⚠️  Rate limit exceeded for ${key}, locked until ${lockedUntil.toISOString()}`);
+          return tooManyRequests(res, lockedUntil);
+        }
+      }
+
+      req.resetRateLimit = async () => {
+        for (const { rule, key } of keyed) {
+          if (rule.resetOnSuccess) {
+            await store.reset(key).catch((error) => {
+              console.error('Failed to reset rate limit:', error.message);
+            });
+          }
+        }
+      };
+
+      next();
+    } catch (error) {
+      // Fail open - a broken limiter must not take authentication down with it
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+};
+
+// Preconfigured limiters. Override with e.g. RATE_LIMIT_LOGIN_EMAIL="10/30m"
+export const sendOtpRateLimit = rateLimit('send-otp', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_OTP_IP', '10/1h') },
+  { scope: 'phone', key: byPhone, ...limitFromEnv('RATE_LIMIT_OTP_PHONE', '3/15m') }
+]);
+
+export const verifyOtpRateLimit = rateLimit('verify-otp', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_VERIFY_OTP_IP', '30/15m') },
+  { scope: 'phone', key: byPhone, ...limitFromEnv('RATE_LIMIT_VERIFY_OTP_PHONE', '10/15m') }
+]);
+
+export const loginRateLimit = rateLimit('login', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_LOGIN_IP', '20/15m') },
+  { scope: 'email', key: byEmail, resetOnSuccess: true, ...limitFromEnv('RATE_LIMIT_LOGIN_EMAIL', '5/15m') }
+]);
+
+export const forgotPasswordRateLimit = rateLimit('forgot-password', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_FORGOT_PASSWORD_IP', '10/1h') },
+  { scope: 'email', key: byEmail, ...limitFromEnv('RATE_LIMIT_FORGOT_PASSWORD_EMAIL', '3/1h') },
+  { scope: 'phone', key: byPhone, ...limitFromEnv('RATE_LIMIT_FORGOT_PASSWORD_PHONE', '3/1h') }
+]);
+
+// Kept apart from forgot-password so requesting a code does not use up the
+// attempts to redeem it. Token resets carry no email or phone and count per IP.
+export const resetPasswordRateLimit = rateLimit('reset-password', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_RESET_PASSWORD_IP', '20/1h') },
+  { scope: 'phone', key: byPhone, ...limitFromEnv('RATE_LIMIT_RESET_PASSWORD_PHONE', '10/1h') }
+]);
+
+export const twoFactorRateLimit = rateLimit('2fa', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_2FA_IP', '20/15m') },
+  { scope: 'user', key: byTwoFactorUser, resetOnSuccess: true, ...limitFromEnv('RATE_LIMIT_2FA_USER', '5/15m') }
+]);
+
+export const emailVerificationRateLimit = rateLimit('email-verification', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_EMAIL_VERIFICATION_IP', '10/1h') },
+  { scope: 'user', key: byUser, ...limitFromEnv('RATE_LIMIT_EMAIL_VERIFICATION_USER', '3/1h') }
+]);
+
+export const changePasswordRateLimit = rateLimit('change-password', [
+  { scope: 'user', key: byUser, resetOnSuccess: true, ...limitFromEnv('RATE_LIMIT_CHANGE_PASSWORD_USER', '5/15m') }
+]);
+
+export const acceptInviteRateLimit = rateLimit('accept-invite', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_ACCEPT_INVITE_IP', '20/15m') }
+]);
+
+export const oidcRateLimit = rateLimit('oidc', [
+  { scope: 'ip', key: byIp, ...limitFromEnv('RATE_LIMIT_OIDC_IP', '30/15m') }
+]);
+
+export default {
+  rateLimit,
+  sendOtpRateLimit,
+  verifyOtpRateLimit,
+  loginRateLimit,
+  forgotPasswordRateLimit,
+  resetPasswordRateLimit,
+  twoFactorRateLimit,
+  emailVerificationRateLimit,
+  changePasswordRateLimit,
+  acceptInviteRateLimit,
+  oidcRateLimit
+};
@@ -1,19 +1,29 @@
-// Role definitions and permissions
+import prisma from '../lib/prisma.js';
+
+// Built-in roles. Schools can add their own in the database (Role model).
 export const ROLES = {
   SUPERADMIN: 'superadmin',
   ADMIN: 'admin',
   TEACHER: 'teacher',
-  STUDENT: 'student'
+  STUDENT: 'student',
+  GUARDIAN: 'guardian'
 };
 
-// Permission definitions
+// Permission catalog: every permission the code checks, with the roles that get
+// it by default. The built-in roles are seeded from this (scripts/seed-roles.js);
+// after that the Role / RolePermission tables decide.
 export const PERMISSIONS = {
   // Students
-  VIEW_STUDENTS: ['superadmin', 'admin', 'teacher'],
+  VIEW_STUDENTS: ['superadmin', 'admin', 'teacher', 'guardian'], // Guardians see their children
   CREATE_STUDENTS: ['superadmin', 'admin'],
   UPDATE_STUDENTS: ['superadmin', 'admin'],
   DELETE_STUDENTS: ['superadmin', 'admin'],
 
+  // Guardians
+  VIEW_GUARDIANS: ['superadmin', 'admin', 'teacher'], // Teachers see their students' guardians
+  MANAGE_GUARDIANS: ['superadmin', 'admin'],
+  NOTIFY_GUARDIANS: ['superadmin', 'admin', 'teacher'],
+
   // Teachers
   VIEW_TEACHERS: ['superadmin', 'admin', 'teacher'],
   CREATE_TEACHERS: ['superadmin', 'admin'],
@@ -21,17 +31,31 @@ export const PERMISSIONS = {
   DELETE_TEACHERS: ['superadmin', 'admin'],
 
   // Classes
-  VIEW_CLASSES: ['superadmin', 'admin', 'teacher', 'student'],
+  VIEW_CLASSES: ['superadmin', 'admin', 'teacher', 'student', 'guardian'],
   CREATE_CLASSES: ['superadmin', 'admin'],
   UPDATE_CLASSES: ['superadmin', 'admin', 'teacher'], // Teachers can update their own classes
   DELETE_CLASSES: ['superadmin', 'admin'],
 
   // Enrollments
-  VIEW_ENROLLMENTS: ['superadmin', 'admin', 'teacher', 'student'], // Students can see their own
+  VIEW_ENROLLMENTS: ['superadmin', 'admin', 'teacher', 'student', 'guardian'], // Students (guardians) can see their own (children's)
   CREATE_ENROLLMENTS: ['superadmin', 'admin', 'teacher'],
   UPDATE_ENROLLMENTS: ['superadmin', 'admin'],
   DELETE_ENROLLMENTS: ['superadmin', 'admin', 'teacher'],
 
+  // Attendance - teachers take it for their own classes
+  VIEW_ATTENDANCE: ['superadmin', 'admin', 'teacher', 'student', 'guardian'], // Students (guardians) see their own (children's)
+  TAKE_ATTENDANCE: ['superadmin', 'admin', 'teacher'],
+
+  // Gradebook - teachers grade their own classes
+  VIEW_GRADES: ['superadmin', 'admin', 'teacher', 'student', 'guardian'], // Students (guardians) see their own (children's)
+  MANAGE_GRADES: ['superadmin', 'admin', 'teacher'],
+  MANAGE_GRADE_SCALES: ['superadmin', 'admin'],
+
+  // Assignments - teachers set and grade them for their own classes
+  VIEW_ASSIGNMENTS: ['superadmin', 'admin', 'teacher', 'student', 'guardian'], // Students (guardians) see published ones and their own (children's) work
+  MANAGE_ASSIGNMENTS: ['superadmin', 'admin', 'teacher'],
+  SUBMIT_ASSIGNMENTS: ['student'],
+
   // Users - Super Admin can manage admins, admins cannot
   VIEW_USERS: ['superadmin', 'admin'],
   CREATE_USERS: ['superadmin', 'admin'],
@@ -39,12 +63,22 @@ export const PERMISSIONS = {
   DELETE_USERS: ['superadmin'], // Only superadmin can delete users
   MANAGE_ADMINS: ['superadmin'], // Only superadmin can create/edit/delete admins
   CHANGE_ROLES: ['superadmin'], // Only superadmin can change user roles
+  MANAGE_ROLES: ['superadmin'], // Define custom roles and their permissions
+  VIEW_USER_DIRECTORY: ['superadmin', 'admin', 'teacher'], // Filtered by role (teachers see students)
+  MANAGE_INVITATIONS: ['superadmin', 'admin'],
+  IMPERSONATE_USERS: ['superadmin'],
 
   // Messages
-  VIEW_MESSAGES: ['superadmin', 'admin', 'teacher', 'student'], // Users can see their own messages
-  CREATE_MESSAGES: ['superadmin', 'admin', 'teacher', 'student'],
+  VIEW_MESSAGES: ['superadmin', 'admin', 'teacher', 'student', 'guardian'], // Users can see their own messages
+  CREATE_MESSAGES: ['superadmin', 'admin', 'teacher', 'student', 'guardian'],
   DELETE_MESSAGES: ['superadmin', 'admin'], // And message owner
 
+  // Lesson plans - teachers only see and change their own
+  VIEW_LESSON_PLANS: ['superadmin', 'admin', 'teacher'],
+  CREATE_LESSON_PLANS: ['superadmin', 'admin', 'teacher'],
+  UPDATE_LESSON_PLANS: ['superadmin', 'admin', 'teacher'],
+  DELETE_LESSON_PLANS: ['superadmin', 'admin', 'teacher'],
+
   // Analytics
   VIEW_ANALYTICS: ['superadmin', 'admin', 'teacher'],
 
@@ -60,19 +94,108 @@ export const PERMISSIONS = {
   MANAGE_SYSTEM: ['superadmin']
 };
 
+// Built-in roles get the matrix above until they are seeded into the roles table
+const defaultRolePermissions = () => {
+  const roles = new Map(Object.values(ROLES).map((role) => [role, new Set()]));
+  for (const [permission, allowedRoles] of Object.entries(PERMISSIONS)) {
+    for (const role of allowedRoles) {
+      roles.get(role)?.add(permission);
+    }
+  }
+  return roles;
+};
+
+// Role permissions are read from the database and cached in memory, so
+// hasPermission stays synchronous. The cache is reloaded every
+// ROLE_CACHE_TTL_SECONDS (default 60) and right after a role is edited here;
+// other instances pick edits up within the TTL.
+const ROLE_CACHE_TTL_MS = (parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 60) * 1000;
+
+let rolePermissions = defaultRolePermissions();
+let loadedAt = 0;
+let generation = 0;
+let loading = null;
+
+// Load role permissions if the cache is stale. Returns Map<role, Set<permission>>.
+export const loadRolePermissions = async () => {
+  if (Date.now() - loadedAt < ROLE_CACHE_TTL_MS) {
+    return rolePermissions;
+  }
+
+  if (!loading) {
+    const startedAt = generation;
+    loading = prisma.role.findMany({
+      select: { name: true, permissions: { select: { permission: true } } }
+    })
+      .then((roles) => {
+        // Built-in roles missing from the table (not seeded yet) keep the matrix defaults
+        const loaded = defaultRolePermissions();
+        for (const role of roles) {
+          loaded.set(role.name, new Set(role.permissions.map((entry) => entry.permission)));
+        }
+        rolePermissions = loaded;
+      })
+      .catch((error) => {
+        // Keep the last known permissions; try again after the TTL
+        console.error('Failed to load role permissions:', error.message);
+      })
+      .then(() => {
+        if (startedAt === generation) {
+          loadedAt = Date.now();
+        }
+        loading = null;
+        return rolePermissions;
+      });
+  }
+
+  return loading;
+};
+
+// Drop the cache after roles change
+export const invalidateRolePermissions = () => {
+  generation++;
+  loadedAt = 0;
+};
+
+// Names of all roles (built-in and custom)
+export const getRoleNames = async () => [...(await loadRolePermissions()).keys()];
+
+// Whether a role exists
+export const roleExists = async (role) => (await loadRolePermissions()).has(role);
+
 // Check if user has specific permission
+// Super admins always hold every permission so they cannot lock themselves out.
 export const hasPermission = (userRole, permission) => {
-  const allowedRoles = PERMISSIONS[permission];
-  if (!allowedRoles) {
+  if (!PERMISSIONS[permission]) {
     console.warn(`Unknown permission: ${permission}`);
     return false;
   }
-  return allowedRoles.includes(userRole);
+  if (userRole === ROLES.SUPERADMIN) {
+    return true;
+  }
+  return rolePermissions.get(userRole)?.has(permission) || false;
 };
 
+// Permissions a role grants
+export const getRolePermissions = (role) =>
+  Object.keys(PERMISSIONS).filter((permission) => hasPermission(role, permission));
+
+// A user can only hand out a role whose permissions they hold themselves
+export const canAssignRole = (actorRole, role) =>
+  [...(rolePermissions.get(role) || [])].every((permission) => hasPermission(actorRole, permission));
+
+// Every route must declare who may call it. The middlewares below carry a
+// `policy` tag that assertRoutePolicies (lib/routePolicies.js) looks for at
+// startup, so a route without one stops the server from booting.
+const withPolicy = (middleware, policy) => Object.assign(middleware, { policy });
+
 // Middleware to check specific permission
-export const requirePermission = (permission) => {
-  return (req, res, next) => {
+// With { allowOwn: true } roles lacking the permission still get through with
+// req.ownOnly set; the handler must then limit the request to the caller's own
+// records (e.g. "users can update their own profile"). API keys always need
+// the permission in their scopes.
+export const requirePermission = (permission, { allowOwn = false } = {}) => {
+  return withPolicy(async (req, res, next) => {
     if (!req.user || !req.userRole) {
       return res.status(401).json({ 
         error: 'Authentication required',
@@ -80,7 +203,11 @@ export const requirePermission = (permission) => {
       });
     }
 
-    if (!hasPermission(req.userRole, permission)) {
+    await loadRolePermissions();
+
+    const permitted = hasPermission(req.userRole, permission);
+
+    if (!permitted && !allowOwn) {
       return res.status(403).json({ 
         error: 'Access forbidden',
         message: `You do not have permission to perform this action`,
@@ -89,8 +216,44 @@ export const requirePermission = (permission) => {
       });
     }
 
+    // API keys only get the permissions they were scoped to
+    if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'This API key is not scoped for this action',
+        permission: permission
+      });
+    }
+
+    req.ownOnly = !permitted;
+
     next();
-  };
+  }, { permission, allowOwn });
+};
+
+// Routes open to everyone (login, registration, public keys...)
+export const publicRoute = withPolicy((req, res, next) => next(), { public: true });
+
+// Routes any signed-in user may call for their own account (profile, 2FA,
+// API keys). Put it after authenticate.
+export const authenticatedRoute = withPolicy(async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      message: 'You must be logged in to access this resource'
+    });
+  }
+  await loadRolePermissions();
+  next();
+}, { authenticated: true });
+
+// Permissions a request actually has: the role's permissions, narrowed to the
+// key's scopes for API keys
+export const getEffectivePermissions = (req) => {
+  const permissions = getRolePermissions(req.userRole);
+  return req.apiKey
+    ? permissions.filter((permission) => req.apiKey.scopes.includes(permission))
+    : permissions;
 };
 
 // Check if user is super admin
@@ -113,7 +276,16 @@ export default {
   ROLES,
   PERMISSIONS,
   hasPermission,
+  loadRolePermissions,
+  invalidateRolePermissions,
+  getRoleNames,
+  roleExists,
+  getRolePermissions,
+  canAssignRole,
   requirePermission,
+  publicRoute,
+  authenticatedRoute,
+  getEffectivePermissions,
   isAdmin,
   isTeacherOrAdmin,
   canAccessResource
@@ -1,11 +1,47 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
-import { authenticate, requireTeacher } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { accessWhere } from '../lib/rowAccess.js';
+import { parseDateRange } from '../lib/attendance.js';
+import {
+  attendanceByStudent,
+  attendanceByClass,
+  attendanceByBranch,
+  attendanceByDate,
+  chronicAbsences,
+  sendAbsenceAlerts,
+  parseThresholds,
+  parseReportRange
+} from '../lib/attendanceAnalytics.js';
 
 const router = express.Router();
 
+/**
+ * Read the attendance report filters (?from, ?to, ?classId, ?branchId).
+ * With a default window, a missing range covers the last days up to today.
+ * Returns { filters } or { error }.
+ */
+const attendanceFilters = (query, { defaultWindow = false } = {}) => {
+  const { range, error } = defaultWindow ? parseReportRange(query) : parseDateRange(query);
+  if (error) {
+    return { error };
+  }
+
+  const filters = { range };
+  for (const key of ['classId', 'branchId']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      filters[key] = parseInt(query[key]);
+      if (isNaN(filters[key])) {
+        return { error: `${key} must be a number` };
+      }
+    }
+  }
+  return { filters };
+};
+
 // Get overall statistics - requires teacher or admin role
-router.get('/stats', authenticate, requireTeacher, async (req, res) => {
+router.get('/stats', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
   try {
     // Check if Prisma is initialized
     if (!prisma) {
@@ -14,23 +50,23 @@ router.get('/stats', authenticate, requireTeacher, async (req, res) => {
     }
 
     const [studentsCount, classesCount, teachersCount, enrollmentsCount, usersCount] = await Promise.all([
-      prisma.student.count().catch(err => {
+      prisma.student.count({ where: accessWhere('student') }).catch(err => {
         console.error('Error counting students:', err);
         return 0;
       }),
-      prisma.class.count().catch(err => {
+      prisma.class.count({ where: accessWhere('class') }).catch(err => {
         console.error('Error counting classes:', err);
         return 0;
       }),
-      prisma.teacher.count().catch(err => {
+      prisma.teacher.count({ where: accessWhere('teacher') }).catch(err => {
         console.error('Error counting teachers:', err);
         return 0;
       }),
-      prisma.enrollment.count().catch(err => {
+      prisma.enrollment.count({ where: accessWhere('enrollment') }).catch(err => {
         console.error('Error counting enrollments:', err);
         return 0;
       }),
-      prisma.user.count().catch(err => {
+      prisma.user.count({ where: accessWhere('user') }).catch(err => {
         console.error('Error counting users:', err);
         return 0;
       })
@@ -67,10 +103,11 @@ router.get('/stats', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Get enrollment statistics by class
-router.get('/enrollments-by-class', authenticate, requireTeacher, async (req, res) => {
+router.get('/enrollments-by-class', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
   try {
     const enrollments = await prisma.enrollment.groupBy({
       by: ['classId'],
+      where: accessWhere('enrollment'),
       _count: {
         id: true
       }
@@ -78,9 +115,9 @@ router.get('/enrollments-by-class', authenticate, requireTeacher, async (req, re
 
     const classIds = enrollments.map(e => e.classId);
     const classes = await prisma.class.findMany({
-      where: {
+      where: accessWhere('class', {
         id: { in: classIds }
-      },
+      }),
       select: {
         id: true,
         name: true,
@@ -106,12 +143,12 @@ router.get('/enrollments-by-class', authenticate, requireTeacher, async (req, re
 });
 
 // Get students by grade
-router.get('/students-by-grade', authenticate, requireTeacher, async (req, res) => {
+router.get('/students-by-grade', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
   try {
     const students = await prisma.student.findMany({
-      where: {
+      where: accessWhere('student', {
         grade: { not: null }
-      },
+      }),
       select: {
         grade: true
       }
@@ -136,11 +173,12 @@ router.get('/students-by-grade', authenticate, requireTeacher, async (req, res)
 });
 
 // Get recent enrollments
-router.get('/recent-enrollments', authenticate, requireTeacher, async (req, res) => {
+router.get('/recent-enrollments', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     
     const enrollments = await prisma.enrollment.findMany({
+      where: accessWhere('enrollment'),
       take: limit,
       orderBy: {
         enrolledAt: 'desc'
@@ -171,9 +209,10 @@ router.get('/recent-enrollments', authenticate, requireTeacher, async (req, res)
 });
 
 // Get class capacity utilization
-router.get('/class-capacity', authenticate, requireTeacher, async (req, res) => {
+router.get('/class-capacity', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
   try {
     const classes = await prisma.class.findMany({
+      where: accessWhere('class'),
       select: {
         id: true,
         name: true,
@@ -184,6 +223,7 @@ router.get('/class-capacity', authenticate, requireTeacher, async (req, res) =>
 
     const enrollments = await prisma.enrollment.groupBy({
       by: ['classId'],
+      where: accessWhere('enrollment'),
       _count: {
         id: true
       }
@@ -214,12 +254,13 @@ router.get('/class-capacity', authenticate, requireTeacher, async (req, res) =>
 });
 
 // Get activity timeline (recent activities)
-router.get('/activity-timeline', authenticate, requireTeacher, async (req, res) => {
+router.get('/activity-timeline', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
 
     const [recentStudents, recentClasses, recentTeachers, recentEnrollments] = await Promise.all([
       prisma.student.findMany({
+        where: accessWhere('student'),
         take: limit,
         orderBy: { createdAt: 'desc' },
         select: {
@@ -230,6 +271,7 @@ router.get('/activity-timeline', authenticate, requireTeacher, async (req, res)
         }
       }),
       prisma.class.findMany({
+        where: accessWhere('class'),
         take: limit,
         orderBy: { createdAt: 'desc' },
         select: {
@@ -240,6 +282,7 @@ router.get('/activity-timeline', authenticate, requireTeacher, async (req, res)
         }
       }),
       prisma.teacher.findMany({
+        where: accessWhere('teacher'),
         take: limit,
         orderBy: { createdAt: 'desc' },
         select: {
@@ -250,6 +293,7 @@ router.get('/activity-timeline', authenticate, requireTeacher, async (req, res)
         }
       }),
       prisma.enrollment.findMany({
+        where: accessWhere('enrollment'),
         take: limit,
         orderBy: { enrolledAt: 'desc' },
         select: {
@@ -274,5 +318,68 @@ router.get('/activity-timeline', authenticate, requireTeacher, async (req, res)
   }
 });
 
+// Attendance rate per student, class, branch or day (?from=&to=&classId=&branchId=)
+const ATTENDANCE_REPORTS = {
+  students: attendanceByStudent,
+  classes: attendanceByClass,
+  branches: attendanceByBranch,
+  daily: attendanceByDate
+};
+
+for (const [name, report] of Object.entries(ATTENDANCE_REPORTS)) {
+  router.get(`/attendance/${name}`, authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
+    try {
+      const { filters, error } = attendanceFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.json(await report(filters));
+    } catch (error) {
+      console.error(`Error fetching attendance by ${name}:`, error);
+      res.status(500).json({ error: 'Failed to fetch attendance statistics' });
+    }
+  });
+}
+
+// Students crossing the absence thresholds (?from=&to=, default the last 30 days;
+// ?rate=&absences=&minDays= override the configured thresholds)
+router.get('/attendance/absences', authenticate, requirePermission('VIEW_ANALYTICS'), async (req, res) => {
+  try {
+    const { filters, error } = attendanceFilters(req.query, { defaultWindow: true });
+    const parsed = parseThresholds(req.query);
+    if (error || parsed.error) {
+      return res.status(400).json({ error: error || parsed.error });
+    }
+
+    const students = await chronicAbsences({ ...filters, thresholds: parsed.thresholds });
+    res.json({ thresholds: parsed.thresholds, students });
+  } catch (error) {
+    console.error('Error fetching chronic absences:', error);
+    res.status(500).json({ error: 'Failed to fetch chronic absences' });
+  }
+});
+
+// Alert the class teachers and guardians of chronically absent students
+// Body: the same filters and thresholds as GET /attendance/absences
+router.post('/attendance/absences/alerts', authenticate, requirePermission('NOTIFY_GUARDIANS'), async (req, res) => {
+  try {
+    const { filters, error } = attendanceFilters(req.body, { defaultWindow: true });
+    const parsed = parseThresholds(req.body);
+    if (error || parsed.error) {
+      return res.status(400).json({ error: error || parsed.error });
+    }
+
+    const results = await sendAbsenceAlerts({ ...filters, thresholds: parsed.thresholds }, req.user.id);
+    res.json({
+      thresholds: parsed.thresholds,
+      sent: results.filter((result) => result.status === 'sent').length,
+      results
+    });
+  } catch (error) {
+    console.error('Error sending absence alerts:', error);
+    res.status(500).json({ error: 'Failed to send absence alerts' });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,88 @@
+import express from 'express';
+import {
+  listAssessments,
+  createAssessment,
+  updateAssessment,
+  deleteAssessment,
+  recordScores
+} from '../lib/gradebook.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+
+// Mounted under /api/classes/:id/assessments (see routes/classes.js)
+const router = express.Router({ mergeParams: true });
+
+const sendResult = (res, result, key, status = 200) => {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.status(status).json(result[key]);
+};
+
+// Assessments of a class - teachers for their classes, students and guardians
+// for classes they are enrolled in
+router.get('/', authenticate, requirePermission('VIEW_GRADES'), async (req, res) => {
+  try {
+    const result = await listAssessments(parseInt(req.params.id));
+    sendResult(res, result, 'assessments');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an assessment - admins, or teachers for their own classes
+// Body: { title, category, maxScore, weight, dueDate }
+router.post('/', authenticate, requirePermission('MANAGE_GRADES'), async (req, res) => {
+  try {
+    const result = await createAssessment(parseInt(req.params.id), req.body);
+    sendResult(res, result, 'assessment', 201);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an assessment
+router.put('/:assessmentId', authenticate, requirePermission('MANAGE_GRADES'), async (req, res) => {
+  try {
+    const result = await updateAssessment(parseInt(req.params.id), parseInt(req.params.assessmentId), req.body);
+    sendResult(res, result, 'assessment');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an assessment with its scores
+router.delete('/:assessmentId', authenticate, requirePermission('MANAGE_GRADES'), async (req, res) => {
+  try {
+    const result = await deleteAssessment(parseInt(req.params.id), parseInt(req.params.assessmentId));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Assessment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record scores in bulk, returns the updated gradebook
+// Body: { scores: [{ studentId | enrollmentId, points, excused, comment }] }
+router.put('/:assessmentId/scores', authenticate, requirePermission('MANAGE_GRADES'), async (req, res) => {
+  try {
+    const { scores } = req.body;
+
+    if (!Array.isArray(scores) || scores.length === 0 || scores.some((score) => !score || typeof score !== 'object')) {
+      return res.status(400).json({ error: 'scores must be a non-empty array of { studentId or enrollmentId, points, excused, comment }' });
+    }
+
+    if (scores.some((score) => !score.studentId && !score.enrollmentId)) {
+      return res.status(400).json({ error: 'Each score needs a studentId or an enrollmentId' });
+    }
+
+    const result = await recordScores(parseInt(req.params.id), parseInt(req.params.assessmentId), scores, req.user.id);
+    sendResult(res, result, 'gradebook');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from 'express';
+import { getStudentById } from '../data/storage.js';
+import {
+  listAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  listSubmissions,
+  submitWork,
+  gradeSubmission,
+  dueWork
+} from '../lib/assignments.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+
+const router = express.Router();
+
+const sendResult = (res, result, key, status = 200) => {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.status(status).json(result[key]);
+};
+
+// Get assignments (?classId=) - teachers for their classes, students and
+// guardians the published ones of their (children's) classes
+router.get('/', authenticate, requirePermission('VIEW_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const classId = req.query.classId ? parseInt(req.query.classId) : undefined;
+    if (Number.isNaN(classId)) {
+      return res.status(400).json({ error: 'classId must be a number' });
+    }
+
+    const assignments = await listAssignments({ classId });
+    res.json(assignments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Work a student still has to hand in across their classes (?all=true: every
+// assignment with its state). Students get their own; guardians, teachers and
+// admins pass ?studentId=
+router.get('/due', authenticate, requirePermission('VIEW_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const studentId = req.query.studentId ? parseInt(req.query.studentId) : req.student?.id;
+    if (!studentId) {
+      return res.status(400).json({ error: 'studentId is required' });
+    }
+
+    const student = await getStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const work = await dueWork(studentId, { all: req.query.all === 'true' });
+    res.json({ student: { id: student.id, name: student.name }, assignments: work });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get assignment by ID
+router.get('/:id', authenticate, requirePermission('VIEW_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const assignment = await getAssignment(parseInt(req.params.id));
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    res.json(assignment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an assignment - admins, or teachers for their own classes
+// Body: { classId, lessonPlanId, title, instructions, dueAt, maxScore, allowLate, lateUntil, latePenalty, status }
+router.post('/', authenticate, requirePermission('MANAGE_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const result = await createAssignment(req.body, req.user.id);
+    sendResult(res, result, 'assignment', 201);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an assignment
+router.put('/:id', authenticate, requirePermission('MANAGE_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const result = await updateAssignment(parseInt(req.params.id), req.body);
+    sendResult(res, result, 'assignment');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an assignment with its submissions
+router.delete('/:id', authenticate, requirePermission('MANAGE_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const result = await deleteAssignment(parseInt(req.params.id));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Assignment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Submissions of an assignment, and who has not submitted - students and
+// guardians only get their own (children's)
+router.get('/:id/submissions', authenticate, requirePermission('VIEW_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const result = await listSubmissions(parseInt(req.params.id));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ submissions: result.submissions, missing: result.missing });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hand in (or replace) the caller's own work - students only
+// Body: { text, attachments: [{ name, url, contentType, size }] }
+router.put('/:id/submission', authenticate, requirePermission('SUBMIT_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const { text, attachments } = req.body;
+    const result = await submitWork(parseInt(req.params.id), { text, attachments });
+    sendResult(res, result, 'submission');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Grade a submission with { score, feedback } - fields left out keep their value
+router.put('/:id/submissions/:submissionId/grade', authenticate, requirePermission('MANAGE_ASSIGNMENTS'), async (req, res) => {
+  try {
+    const { score, feedback } = req.body;
+    const result = await gradeSubmission(parseInt(req.params.id), parseInt(req.params.submissionId), { score, feedback }, req.user.id);
+    sendResult(res, result, 'submission');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
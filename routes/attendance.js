@@ -0,0 +1,116 @@
+import express from 'express';
+import {
+  listSessions,
+  getRegister,
+  markAttendance,
+  getAttendanceHistory,
+  parseAttendanceDate,
+  parseDateRange
+} from '../lib/attendance.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+
+// Mounted under /api/classes/:id/attendance (see routes/classes.js)
+const router = express.Router({ mergeParams: true });
+
+const sendResult = (res, result, key) => {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json(result[key]);
+};
+
+/**
+ * Read :date, or answer 400. Returns the date or null.
+ */
+const requireDate = (req, res) => {
+  const date = parseAttendanceDate(req.params.date);
+  if (!date) {
+    res.status(400).json({ error: 'date must be a day (YYYY-MM-DD)' });
+  }
+  return date;
+};
+
+const periodOf = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Attendance sessions of a class (?from=&to=) - teachers for their classes,
+// students and guardians for classes they are enrolled in
+router.get('/', authenticate, requirePermission('VIEW_ATTENDANCE'), async (req, res) => {
+  try {
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await listSessions(parseInt(req.params.id), { range });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ class: result.class, sessions: result.sessions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The register of a day (?period=) - students and guardians only see their own rows
+router.get('/:date', authenticate, requirePermission('VIEW_ATTENDANCE'), async (req, res) => {
+  try {
+    const date = requireDate(req, res);
+    if (!date) return;
+
+    const result = await getRegister(parseInt(req.params.id), date, periodOf(req.query.period));
+    sendResult(res, result, 'register');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark attendance in bulk - admins, or teachers for their own classes
+// Body: { period, notes, default, reason, records: [{ studentId | enrollmentId, status, note }] }
+router.put('/:date', authenticate, requirePermission('TAKE_ATTENDANCE'), async (req, res) => {
+  try {
+    const date = requireDate(req, res);
+    if (!date) return;
+
+    const { period, notes, records = [], reason } = req.body;
+
+    if (!Array.isArray(records) || records.some((record) => !record || typeof record !== 'object')) {
+      return res.status(400).json({ error: 'records must be an array of { studentId or enrollmentId, status, note }' });
+    }
+
+    if (records.some((record) => !record.studentId && !record.enrollmentId)) {
+      return res.status(400).json({ error: 'Each record needs a studentId or an enrollmentId' });
+    }
+
+    if (records.length === 0 && !req.body.default) {
+      return res.status(400).json({ error: 'Provide records and/or a default status' });
+    }
+
+    const result = await markAttendance(parseInt(req.params.id), date, {
+      period: periodOf(period),
+      notes: notes === undefined ? undefined : (notes ? String(notes).trim() : null),
+      marks: records,
+      defaultStatus: req.body.default,
+      reason: reason ? String(reason).trim() : undefined
+    }, req.user.id);
+
+    sendResult(res, result, 'register');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Corrections made to a day's register (?period=)
+router.get('/:date/history', authenticate, requirePermission('VIEW_ATTENDANCE'), async (req, res) => {
+  try {
+    const date = requireDate(req, res);
+    if (!date) return;
+
+    const result = await getAttendanceHistory(parseInt(req.params.id), date, periodOf(req.query.period));
+    sendResult(res, result, 'history');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
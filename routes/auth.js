@@ -1,13 +1,130 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { generateOTP, sendOTP, verifyOTP, formatPhoneNumber, validatePhoneNumber } from '../lib/phoneVerification.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  verifyAccessToken,
+  isSessionActive
+} from '../lib/sessions.js';
+import { createPasswordResetToken, verifyPasswordResetToken } from '../lib/passwordReset.js';
+import { sendEmail, frontendUrl } from '../lib/email.js';
+import {
+  recordLoginAttempt,
+  isAccountLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  unlockAccount,
+  getLoginAttempts
+} from '../lib/accountLockout.js';
+import {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRequired,
+  needsSecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyUserTOTP,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  disableTwoFactor
+} from '../lib/twoFactor.js';
+import { sendVerificationEmail, confirmEmailVerification } from '../lib/emailVerification.js';
+import { validatePassword, PASSWORD_POLICY } from '../lib/passwordPolicy.js';
+import { findPendingInvitation, acceptInvitation } from '../lib/invitations.js';
+import { defaultMembership } from '../lib/tenantContext.js';
+import { endImpersonation } from '../lib/impersonation.js';
+import { getJwks, getSigningKeyInfo } from '../lib/tokenService.js';
+import { createApiKey, listApiKeys, revokeApiKey, invalidScopes } from '../lib/apiKeys.js';
+import {
+  getOidcProvider,
+  listOidcProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveOidcUser
+} from '../lib/oidc.js';
+import { PERMISSIONS, hasPermission, publicRoute, authenticatedRoute, getEffectivePermissions } from '../middleware/roleCheck.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  sendOtpRateLimit,
+  verifyOtpRateLimit,
+  loginRateLimit,
+  forgotPasswordRateLimit,
+  resetPasswordRateLimit,
+  twoFactorRateLimit,
+  emailVerificationRateLimit,
+  changePasswordRateLimit,
+  acceptInviteRateLimit,
+  oidcRateLimit
+} from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Public sign-ups always get this role; every other role is granted by invitation
+const PUBLIC_REGISTRATION_ROLE = process.env.PUBLIC_REGISTRATION_ROLE || 'student';
+const PUBLIC_REGISTRATION_ENABLED = process.env.PUBLIC_REGISTRATION_ENABLED !== 'false';
+
+// Code of the school public sign-ups join; without it they wait for a superadmin to add them
+const PUBLIC_REGISTRATION_SCHOOL = process.env.PUBLIC_REGISTRATION_SCHOOL || null;
+
+// Finish a login: reset failure counters, record the attempt and issue tokens
+const completeLogin = async (req, user) => {
+  await registerSuccessfulLogin(user);
+  await recordLoginAttempt({ email: user.email, userId: user.id, success: true, req });
+
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: user.emailVerified
+    },
+    token,
+    refreshToken,
+    expiresIn
+  };
+};
+
+// Two-factor management accepts either a normal access token or, for users
+// whose role requires 2FA but who have not enrolled yet, an enrollment challenge
+const authenticateOrEnrollmentChallenge = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallengeToken(String(req.body.challengeToken), 'enroll');
+    const user = userId && await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, name: true, role: true }
+    });
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired challenge. Please login again' });
+    }
+
+    req.user = user;
+    req.userId = user.id;
+    req.userRole = user.role;
+    req.enrollmentChallenge = true;
+
+    next();
+  } catch (error) {
+    console.error('Enrollment challenge error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
 // Send OTP endpoint
-router.post('/send-otp', async (req, res) => {
+router.post('/send-otp', publicRoute, sendOtpRateLimit, async (req, res) => {
   try {
     const { phoneNumber } = req.body;
 
@@ -64,7 +181,7 @@ router.post('/send-otp', async (req, res) => {
 });
 
 // Verify OTP endpoint
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', publicRoute, verifyOtpRateLimit, async (req, res) => {
   try {
     const { phoneNumber, otp } = req.body;
 
@@ -73,7 +190,7 @@ router.post('/verify-otp', async (req, res) => {
     }
 
     const formattedPhone = formatPhoneNumber(phoneNumber);
-    const verification = verifyOTP(formattedPhone, otp);
+    const verification = await verifyOTP(formattedPhone, otp);
 
     if (!verification.valid) {
       return res.status(400).json({ error: verification.error });
@@ -90,16 +207,35 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // Register endpoint
-router.post('/register', async (req, res) => {
+router.post('/register', publicRoute, async (req, res) => {
   try {
     const { email, password, name, role, phoneNumber, otp } = req.body;
 
     console.log('Registration request:', { email, name, hasPhone: !!phoneNumber, hasOtp: !!otp });
 
+    if (!PUBLIC_REGISTRATION_ENABLED) {
+      return res.status(403).json({ 
+        error: 'Public registration is disabled',
+        message: 'Accounts are created by invitation only'
+      });
+    }
+
+    if (role && role !== PUBLIC_REGISTRATION_ROLE) {
+      return res.status(403).json({ 
+        error: 'Role not allowed',
+        message: `Public registration creates ${PUBLIC_REGISTRATION_ROLE} accounts. Other roles require an invitation`
+      });
+    }
+
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name are required' });
     }
 
+    const passwordCheck = validatePassword(password, { email, name });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordCheck.errors });
+    }
+
     // Check if user already exists (email)
     const normalizedEmail = email.toLowerCase().trim();
     let existingUserByEmail;
@@ -146,7 +282,7 @@ router.post('/register', async (req, res) => {
       // Verify OTP if provided (for registration) - OTP is optional
       // If OTP is provided but invalid, we still allow registration (phoneVerified = false)
       if (otp && otp !== '' && String(otp).trim() !== '') {
-        const verification = verifyOTP(formattedPhone, String(otp));
+        const verification = await verifyOTP(formattedPhone, String(otp));
         if (verification.valid) {
           phoneVerified = true;
           console.log('Phone number verified with OTP');
@@ -193,7 +329,7 @@ router.post('/register', async (req, res) => {
       email: normalizedEmail,
       password: hashedPassword,
       name,
-      role: role || 'student'
+      role: PUBLIC_REGISTRATION_ROLE
     };
 
     // Only add phone number if provided
@@ -202,6 +338,11 @@ router.post('/register', async (req, res) => {
       userData.phoneVerified = phoneVerified;
     }
 
+    const memberships = await defaultMembership(PUBLIC_REGISTRATION_SCHOOL, PUBLIC_REGISTRATION_ROLE);
+    if (memberships) {
+      userData.memberships = memberships;
+    }
+
     const user = await prisma.user.create({
       data: userData,
       select: {
@@ -210,24 +351,28 @@ router.post('/register', async (req, res) => {
         name: true,
         phoneNumber: true,
         phoneVerified: true,
+        emailVerified: true,
         role: true,
         createdAt: true
       }
     });
 
-    // Generate JWT token
+    // Registration succeeds even if the email cannot be sent - the user can resend it
+    await sendVerificationEmail(user).catch((error) => {
+      console.error('Failed to send verification email:', error.message);
+    });
+
+    // Start a session and issue access + refresh tokens
     //guul
     //guul two
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       user,
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     console.error('=== REGISTRATION ERROR ===');
@@ -247,7 +392,7 @@ router.post('/register', async (req, res) => {
       NODE_ENV: process.env.NODE_ENV,
       VERCEL: process.env.VERCEL,
       hasDatabaseUrl: !!process.env.DATABASE_URL,
-      hasJwtSecret: !!process.env.JWT_SECRET
+      signingKeyId: getSigningKeyInfo().kid
     });
     
     // Handle Prisma unique constraint errors
@@ -353,7 +498,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login endpoint
-router.post('/login', async (req, res) => {
+router.post('/login', publicRoute, loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -396,9 +541,22 @@ router.post('/login', async (req, res) => {
 
     if (!user) {
       console.log('User not found for email:', normalizedEmail);
+      await recordLoginAttempt({ email: normalizedEmail, success: false, reason: 'unknown_email', req });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    if (isAccountLocked(user)) {
+      console.log('Account locked for user:', normalizedEmail);
+      await recordLoginAttempt({ email: normalizedEmail, userId: user.id, success: false, reason: 'account_locked', req });
+      const retryAfter = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({ 
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Please try again later or reset your password',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Verify password
     let isValidPassword;
     try {
@@ -411,27 +569,37 @@ router.post('/login', async (req, res) => {
 
     if (!isValidPassword) {
       console.log('Invalid password for user:', normalizedEmail);
+      const updatedUser = await registerFailedLogin(user);
+      await recordLoginAttempt({ email: normalizedEmail, userId: user.id, success: false, reason: 'invalid_password', req });
+      if (isAccountLocked(updatedUser)) {
+        console.log('Account locked after too many failures:', normalizedEmail);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     
-    console.log('✅ Login successful for:', normalizedEmail);
+    // Clear the per-email failure count
+    await req.resetRateLimit?.();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-      { expiresIn: '7d' }
-    );
+    // Accounts with two-factor authentication finish at /login/2fa (or enroll first)
+    if (needsSecondFactor(user)) {
+      const enrollmentRequired = !user.totpEnabled;
+      console.log('Password verified, second factor required for:', normalizedEmail);
+      return res.json({
+        message: enrollmentRequired
+          ? 'Two-factor authentication must be set up before you can login'
+          : 'Two-factor authentication required',
+        twoFactorRequired: true,
+        enrollmentRequired,
+        challengeToken: createChallengeToken(user, enrollmentRequired ? 'enroll' : 'login')
+      });
+    }
+    
+    console.log('✅ Login successful for:', normalizedEmail);
 
+    // Start a session and issue access + refresh tokens
     res.json({
       message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      },
-      token
+      ...(await completeLogin(req, user))
     });
   } catch (error) {
     console.error('=== LOGIN ERROR ===');
@@ -464,8 +632,399 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Public keys for verifying our tokens (also served at /.well-known/jwks.json)
+router.get('/jwks', publicRoute, (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+// Single sign-on providers available on the login page
+router.get('/oidc/providers', publicRoute, (req, res) => {
+  res.json(listOidcProviders().map((provider) => ({
+    name: provider.name,
+    label: provider.label
+  })));
+});
+
+// Start single sign-on: returns the issuer's authorization URL
+// (or redirects to it with ?redirect=true)
+router.get('/oidc/:provider/authorize', publicRoute, oidcRateLimit, async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown sign-in provider' });
+    }
+
+    const { authorizationUrl, state } = await createAuthorizationRequest(provider);
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(authorizationUrl);
+    }
+
+    res.json({ authorizationUrl, state });
+  } catch (error) {
+    console.error('Error starting OIDC login:', error);
+    res.status(502).json({ error: 'Could not reach the identity provider' });
+  }
+});
+
+// Finish single sign-on - the frontend callback page posts { code, state } here.
+// Responds like /login (tokens, or a 2FA challenge).
+router.post('/oidc/:provider/callback', publicRoute, oidcRateLimit, async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown sign-in provider' });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({ error: 'Code and state are required' });
+    }
+
+    const authorization = await completeAuthorization(provider, { code: String(code), state: String(state) });
+    if (authorization.error) {
+      return res.status(401).json({ error: authorization.error });
+    }
+
+    const { claims } = authorization;
+    const result = await resolveOidcUser(provider, claims);
+
+    if (result.error) {
+      await recordLoginAttempt({
+        email: claims.email ? String(claims.email).toLowerCase() : `${provider.name}:${claims.sub}`,
+        success: false,
+        reason: 'sso_rejected',
+        req
+      });
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { user, created } = result;
+
+    // A lockout from failed password or 2FA attempts applies to SSO too
+    if (isAccountLocked(user)) {
+      await recordLoginAttempt({ email: user.email, userId: user.id, success: false, reason: 'account_locked', req });
+      const retryAfter = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Please try again later or reset your password',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    // Accounts with two-factor authentication finish at /login/2fa (or enroll first)
+    if (needsSecondFactor(user)) {
+      const enrollmentRequired = !user.totpEnabled;
+      return res.json({
+        message: enrollmentRequired
+          ? 'Two-factor authentication must be set up before you can login'
+          : 'Two-factor authentication required',
+        twoFactorRequired: true,
+        enrollmentRequired,
+        challengeToken: createChallengeToken(user, enrollmentRequired ? 'enroll' : 'login')
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Account created and logged in' : 'Login successful',
+      accountCreated: created,
+      ...(await completeLogin(req, user))
+    });
+  } catch (error) {
+    console.error('Error completing OIDC login:', error);
+    res.status(500).json({ error: 'Failed to complete sign-in' });
+  }
+});
+
+// Second login step - exchange a challenge token and a TOTP or recovery code for tokens
+router.post('/login/2fa', publicRoute, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and an authentication code or recovery code are required' });
+    }
+
+    const userId = verifyChallengeToken(String(challengeToken), 'login');
+    const user = userId && await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user || !user.totpEnabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge. Please login again' });
+    }
+
+    if (isAccountLocked(user)) {
+      return res.status(423).json({ 
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Please try again later or reset your password',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await registerFailedLogin(user);
+      await recordLoginAttempt({ email: user.email, userId: user.id, success: false, reason: 'invalid_2fa_code', req });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await req.resetRateLimit?.();
+
+    res.json({
+      message: 'Login successful',
+      ...(await completeLogin(req, user)),
+      ...(recoveryCode && !code && {
+        recoveryCodesRemaining: await prisma.recoveryCode.count({ where: { userId: user.id, usedAt: null } })
+      })
+    });
+  } catch (error) {
+    console.error('Error completing two-factor login:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+});
+
+// Two-factor status for the current user
+router.get('/2fa/status', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { totpEnabled: true }
+    });
+    const recoveryCodesRemaining = await prisma.recoveryCode.count({
+      where: { userId: req.userId, usedAt: null }
+    });
+
+    res.json({
+      enabled: user.totpEnabled,
+      required: isTwoFactorRequired(req.userRole),
+      available: TWO_FACTOR_ROLES.includes(req.userRole),
+      recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start two-factor enrollment - returns the secret and an otpauth:// URI for the QR code
+router.post('/2fa/setup', authenticateOrEnrollmentChallenge, authenticatedRoute, async (req, res) => {
+  try {
+    if (!TWO_FACTOR_ROLES.includes(req.userRole)) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: `Two-factor authentication is available for these roles: ${TWO_FACTOR_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment(user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm enrollment with a code from the app - returns recovery codes (shown once)
+router.post('/2fa/enable', authenticateOrEnrollmentChallenge, authenticatedRoute, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totpSecret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await req.resetRateLimit?.();
+
+    // Users who were made to enroll during login are logged in now
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes,
+      ...(req.enrollmentChallenge && await completeLogin(req, user))
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Regenerate recovery codes - requires a current authentication code
+router.post('/2fa/recovery-codes', authenticate, authenticatedRoute, twoFactorRateLimit, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifyUserTOTP(user, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await req.resetRateLimit?.();
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work',
+      recoveryCodes: await generateRecoveryCodes(user.id)
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Disable two-factor authentication - requires password and a code
+router.post('/2fa/disable', authenticate, authenticatedRoute, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.userRole)) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and an authentication code or recovery code are required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await disableTwoFactor(user.id);
+    await req.resetRateLimit?.();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Preview an invitation so the sign-up form can show who is being invited
+router.get('/accept-invite', publicRoute, acceptInviteRateLimit, async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const invitation = await findPendingInvitation(String(token));
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    res.json({
+      email: invitation.email,
+      phoneNumber: invitation.phoneNumber,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Error loading invitation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept an invitation: create the account with the invited role and log in
+router.post('/accept-invite', publicRoute, acceptInviteRateLimit, async (req, res) => {
+  try {
+    const { token, password, name, email, phoneNumber } = req.body;
+
+    if (!token || !password || !name) {
+      return res.status(400).json({ error: 'Token, password, and name are required' });
+    }
+
+    const invitation = await findPendingInvitation(String(token));
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    // Email invitations fix the address; phone-only invitations let the invitee choose one
+    const normalizedEmail = invitation.email || (email ? String(email).toLowerCase().trim() : null);
+    if (!normalizedEmail) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const passwordCheck = validatePassword(password, { email: normalizedEmail, name });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordCheck.errors });
+    }
+
+    let formattedPhone = invitation.phoneNumber;
+    if (!formattedPhone && phoneNumber) {
+      formattedPhone = formatPhoneNumber(String(phoneNumber));
+      if (!validatePhoneNumber(formattedPhone)) {
+        return res.status(400).json({ error: 'Invalid phone number format' });
+      }
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User with this email already exists' });
+    }
+
+    if (formattedPhone) {
+      const existingUserByPhone = await prisma.user.findUnique({ where: { phoneNumber: formattedPhone } });
+      if (existingUserByPhone) {
+        return res.status(400).json({ error: 'Phone number is already registered' });
+      }
+    }
+
+    const user = await acceptInvitation(invitation, {
+      email: normalizedEmail,
+      password,
+      name,
+      phoneNumber: formattedPhone
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      ...(await completeLogin(req, user))
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Verify token endpoint
-router.get('/verify', async (req, res) => {
+router.get('/verify', publicRoute, async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
 
@@ -473,10 +1032,11 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production'
-    );
+    const decoded = verifyAccessToken(token);
+
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
 
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -492,11 +1052,509 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    res.json({ user });
+    res.json({
+      user,
+      ...(decoded.impersonation && { impersonatedBy: decoded.act })
+    });
   } catch (error) {
     res.status(401).json({ error: 'Invalid token' });
   }
 });
 
+// Refresh endpoint - exchanges a refresh token for a new access/refresh token pair
+router.post('/refresh', publicRoute, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(String(refreshToken), req);
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      user: {
+        id: result.user.id,
+        email: result.user.email,
+        name: result.user.name,
+        role: result.user.role
+      },
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ 
+      error: 'Failed to refresh token',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Logout endpoint - revokes the current session (or all sessions with { all: true })
+// Accepts either a refresh token in the body or a valid access token
+router.post('/logout', publicRoute, (req, res, next) => {
+  if (req.body?.refreshToken) {
+    return next();
+  }
+  return authenticate(req, res, next);
+}, async (req, res) => {
+  try {
+    let userId = req.userId;
+    let sessionId = req.sessionId;
+
+    if (req.body.refreshToken) {
+      const session = await findSessionByRefreshToken(String(req.body.refreshToken));
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
+      userId = session.userId;
+      sessionId = session.id;
+    }
+
+    // Logging out of an impersonation token ends the impersonation only
+    if (req.impersonator) {
+      await endImpersonation({ id: sessionId, userId, impersonatorId: req.impersonator.id }, req);
+      return res.json({ message: 'Impersonation ended' });
+    }
+
+    if (req.body.all) {
+      await revokeAllUserSessions(userId, 'logout_all');
+    } else {
+      await revokeSession(sessionId, 'logout');
+    }
+
+    res.json({ message: req.body.all ? 'Logged out from all sessions' : 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// List the current user's API keys
+router.get('/api-keys', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.userId);
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Scopes the current user can grant to an API key (the permissions of their role)
+router.get('/api-keys/scopes', authenticate, authenticatedRoute, (req, res) => {
+  res.json(Object.keys(PERMISSIONS).filter((permission) => hasPermission(req.userRole, permission)));
+});
+
+// Create an API key - the key is only returned once
+router.post('/api-keys', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || String(name).trim() === '') {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required' });
+    }
+
+    const invalid = invalidScopes(scopes.map(String), req.userRole);
+    if (invalid.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid scopes',
+        message: 'Scopes must be permissions your role has',
+        invalidScopes: invalid
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+      }
+    }
+
+    const result = await createApiKey(req.user, {
+      name: String(name).trim().substring(0, 100),
+      scopes: scopes.map(String),
+      expiresAt: expiry
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'API key created. Store it now - it will not be shown again',
+      apiKey: result.apiKey,
+      key: result.key
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke one of the current user's API keys
+router.delete('/api-keys/:id', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(parseInt(req.params.id), req.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Login history for the current user
+router.get('/login-history', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const attempts = await getLoginAttempts({ userId: req.userId }, req.query.limit);
+    res.json(attempts);
+  } catch (error) {
+    console.error('Error fetching login history:', error);
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+// Verify email endpoint - token from the emailed link (body or query string)
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const user = await confirmEmailVerification(String(token));
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+router.get('/verify-email', publicRoute, verifyEmail);
+router.post('/verify-email', publicRoute, verifyEmail);
+
+// Resend the verification email for the current user
+router.post('/resend-verification', authenticate, authenticatedRoute, emailVerificationRateLimit, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Password requirements, so clients can show them before submitting
+router.get('/password-policy', publicRoute, (req, res) => {
+  res.json(PASSWORD_POLICY);
+});
+
+// Fields returned for the current user's profile
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  phoneNumber: true,
+  phoneVerified: true,
+  emailVerified: true,
+  totpEnabled: true,
+  lastLoginAt: true,
+  createdAt: true,
+  updatedAt: true,
+  teacher: { select: { id: true, name: true } },
+  student: { select: { id: true, name: true } },
+  guardian: { select: { id: true, name: true, students: { select: { relationship: true, student: { select: { id: true, name: true } } } } } },
+  identities: { select: { provider: true, email: true, lastLoginAt: true, createdAt: true } },
+  memberships: {
+    select: {
+      role: true,
+      school: { select: { id: true, name: true, code: true } },
+      branch: { select: { id: true, name: true, code: true } }
+    }
+  }
+};
+
+// Get the current user's profile
+router.get('/me', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: PROFILE_SELECT
+    });
+
+    res.json({
+      user,
+      ...(req.impersonator && {
+        impersonatedBy: { id: req.impersonator.id, name: req.impersonator.name, email: req.impersonator.email }
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Permissions of the current request: the role's permissions, limited to the
+// key's scopes when called with an API key
+router.get('/permissions', authenticate, authenticatedRoute, (req, res) => {
+  res.json({
+    role: req.userRole,
+    permissions: getEffectivePermissions(req),
+    ...(req.apiKey && { apiKey: { id: req.apiKey.id, name: req.apiKey.name, scopes: req.apiKey.scopes } })
+  });
+});
+
+// Update the current user's profile (name, phone number)
+// A new phone number must be verified with an OTP from /send-otp
+router.patch('/me', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const { name, phoneNumber, otp } = req.body;
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!name || String(name).trim() === '') {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      updateData.name = String(name).trim();
+    }
+
+    if (phoneNumber !== undefined) {
+      if (phoneNumber === null || String(phoneNumber).trim() === '') {
+        // Remove phone number
+        updateData.phoneNumber = null;
+        updateData.phoneVerified = false;
+      } else {
+        const formattedPhone = formatPhoneNumber(String(phoneNumber));
+        if (!validatePhoneNumber(formattedPhone)) {
+          return res.status(400).json({ error: 'Invalid phone number format' });
+        }
+
+        if (formattedPhone !== req.user.phoneNumber) {
+          if (!otp) {
+            return res.status(400).json({ 
+              error: 'Verification code required',
+              message: 'Request a code for the new phone number via /api/auth/send-otp and include it as otp'
+            });
+          }
+
+          const verification = await verifyOTP(formattedPhone, String(otp));
+          if (!verification.valid) {
+            return res.status(400).json({ error: verification.error });
+          }
+
+          updateData.phoneNumber = formattedPhone;
+          updateData.phoneVerified = true;
+        }
+      }
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.userId },
+      data: updateData,
+      select: PROFILE_SELECT
+    });
+
+    res.json({
+      message: 'Profile updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Phone number is already registered' });
+    }
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Change password - requires the current password, signs out all other sessions
+router.post('/change-password', authenticate, authenticatedRoute, changePasswordRateLimit, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordCheck = validatePassword(newPassword, { email: user.email, name: user.name });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordCheck.errors });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await bcrypt.hash(newPassword, 10) }
+    });
+
+    await req.resetRateLimit?.();
+
+    // Keep this session, sign out everywhere else
+    await revokeAllUserSessions(user.id, 'password_change', req.sessionId);
+
+    res.json({ message: 'Password changed successfully. Other sessions have been signed out' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Forgot password endpoint - sends a reset link (email) or a reset code (phone)
+// Always responds the same way so it never reveals whether an account exists
+router.post('/forgot-password', publicRoute, forgotPasswordRateLimit, async (req, res) => {
+  try {
+    const { email, phoneNumber } = req.body;
+
+    if (!email && !phoneNumber) {
+      return res.status(400).json({ error: 'Email or phone number is required' });
+    }
+
+    if (phoneNumber) {
+      const formattedPhone = formatPhoneNumber(String(phoneNumber));
+      if (!validatePhoneNumber(formattedPhone)) {
+        return res.status(400).json({ error: 'Invalid phone number format' });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { phoneNumber: formattedPhone }
+      });
+
+      if (user) {
+        // Swallow delivery errors so the response does not reveal that the account exists
+        await sendOTP(formattedPhone, generateOTP(), 'password_reset').catch((error) => {
+          console.error('Failed to send password reset OTP:', error.message);
+        });
+      }
+    } else {
+      const user = await prisma.user.findUnique({
+        where: { email: String(email).toLowerCase().trim() }
+      });
+
+      if (user) {
+        const token = createPasswordResetToken(user);
+        // Same as for SMS: a delivery error must not reveal that the account exists
+        await sendEmail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hello ${user.name},\n\nUse the link below to reset your password. It is valid for 30 minutes.\n\n${frontendUrl(`/reset-password?token=${token}`)}\n\nIf you did not request a password reset, you can ignore this email.`
+        }).catch((error) => {
+          console.error('Failed to send password reset email:', error.message);
+        });
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for the details provided, password reset instructions have been sent'
+    });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Reset password endpoint - accepts { token, password } or { phoneNumber, otp, password }
+router.post('/reset-password', publicRoute, resetPasswordRateLimit, async (req, res) => {
+  try {
+    const { token, phoneNumber, otp, password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'New password is required' });
+    }
+
+    const checkPassword = (user) => {
+      const passwordCheck = validatePassword(password, { email: user?.email, name: user?.name });
+      if (!passwordCheck.valid) {
+        res.status(400).json({ error: 'Password does not meet requirements', details: passwordCheck.errors });
+      }
+      return passwordCheck.valid;
+    };
+
+    let user = null;
+
+    if (token) {
+      user = await verifyPasswordResetToken(String(token));
+      if (!user) {
+        return res.status(400).json({ error: 'Invalid or expired reset token' });
+      }
+      if (!checkPassword(user)) return;
+    } else if (phoneNumber && otp) {
+      const formattedPhone = formatPhoneNumber(String(phoneNumber));
+      user = await prisma.user.findUnique({
+        where: { phoneNumber: formattedPhone }
+      });
+
+      // Check the new password before verifying, which uses up the code
+      if (!checkPassword(user)) return;
+
+      const verification = await verifyOTP(formattedPhone, String(otp), 'password_reset');
+      if (!verification.valid || !user) {
+        return res.status(400).json({ error: 'Invalid or expired reset code' });
+      }
+    } else {
+      return res.status(400).json({ error: 'Reset token, or phone number and OTP, are required' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: await bcrypt.hash(password, 10),
+        // Following an emailed reset link proves the address belongs to the user
+        ...(token && !user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+      }
+    });
+
+    // Log out everywhere - whoever had access before the reset loses it
+    await revokeAllUserSessions(user.id, 'password_reset');
+
+    // Proving ownership of the account also lifts any lockout
+    await unlockAccount(user.id);
+
+    res.json({ message: 'Password has been reset successfully. Please login with your new password' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
 export default router;
 
@@ -7,7 +7,8 @@ import {
   updateBranch,
   deleteBranch
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ const router = express.Router();
 //branchesadda
 //schooladda
 //branchupdate
-router.get('/', authenticate, requireTeacher, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_BRANCHES'), async (req, res) => {
   try {
     const branches = await getBranches();
     res.json(branches);
@@ -25,7 +26,7 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Get branches by school
-router.get('/school/:schoolId', authenticate, requireTeacher, async (req, res) => {
+router.get('/school/:schoolId', authenticate, requirePermission('VIEW_BRANCHES'), async (req, res) => {
   try {
     const schoolId = parseInt(req.params.schoolId);
     const branches = await getBranchesBySchool(schoolId);
@@ -36,7 +37,7 @@ router.get('/school/:schoolId', authenticate, requireTeacher, async (req, res) =
 });
 
 // Get branch by ID
-router.get('/:id', authenticate, requireTeacher, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('VIEW_BRANCHES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const branch = await getBranchById(id);
@@ -50,7 +51,7 @@ router.get('/:id', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Create new branch
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('MANAGE_BRANCHES'), async (req, res) => {
   try {
     const { name, code, schoolId, address, phone, email, manager, description } = req.body;
     
@@ -76,6 +77,10 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
   } catch (error) {
     console.error('Error creating branch:', error);
     
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Branch code already exists' });
     }
@@ -94,7 +99,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Update branch
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('MANAGE_BRANCHES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const branch = await getBranchById(id);
@@ -118,6 +123,9 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
     const updatedBranch = await updateBranch(id, branchData);
     res.json(updatedBranch);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Branch code already exists' });
     }
@@ -129,7 +137,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete branch
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('MANAGE_BRANCHES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const branch = await getBranchById(id);
@@ -6,12 +6,16 @@ import {
   updateClass,
   deleteClass
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher, requireStudent } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission, ROLES } from '../middleware/roleCheck.js';
+import attendanceRoutes from './attendance.js';
+import assessmentRoutes from './assessments.js';
+import { getGradebook } from '../lib/gradebook.js';
 
 const router = express.Router();
 
 // Get all classes - accessible to all authenticated users
-router.get('/', authenticate, requireStudent, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_CLASSES'), async (req, res) => {
   try {
     const classes = await getClasses();
     res.json(classes);
@@ -21,7 +25,7 @@ router.get('/', authenticate, requireStudent, async (req, res) => {
 });
 
 // Get class by ID - accessible to all authenticated users
-router.get('/:id', authenticate, requireStudent, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('VIEW_CLASSES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const classItem = await getClassById(id);
@@ -35,9 +39,9 @@ router.get('/:id', authenticate, requireStudent, async (req, res) => {
 });
 
 // Create new class - requires admin role
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('CREATE_CLASSES'), async (req, res) => {
   try {
-    const { name, code, description, teacherId, schedule, capacity } = req.body;
+    const { name, code, description, teacherId, schedule, capacity, schoolId, branchId } = req.body;
     
     if (!name || !code) {
       return res.status(400).json({ error: 'Name and code are required' });
@@ -51,11 +55,16 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       teacherId: teacherId && teacherId !== '' && !isNaN(teacherId) ? parseInt(teacherId) : null,
       schedule: schedule && schedule.trim() !== '' ? schedule.trim() : null,
       capacity: capacity && capacity !== '' && !isNaN(capacity) ? parseInt(capacity) : null,
+      schoolId,
+      branchId
     };
     
     const newClass = await addClass(classData);
     res.status(201).json(newClass);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Class code already exists' });
     }
@@ -66,8 +75,8 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Update class - requires admin role
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// Update class - admins, or teachers for their own classes
+router.put('/:id', authenticate, requirePermission('UPDATE_CLASSES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const classItem = await getClassById(id);
@@ -76,7 +85,17 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Class not found' });
     }
     
-    const { name, code, description, teacherId, schedule, capacity } = req.body;
+    // Teachers can only edit their own classes
+    if (req.userRole === ROLES.TEACHER && classItem.teacherId !== req.tenant.teacherId) {
+      return res.status(403).json({ error: 'Teachers can only manage their own classes' });
+    }
+    
+    const { name, code, description, teacherId, schedule, capacity, schoolId, branchId } = req.body;
+    
+    // Teachers can edit their own classes but not hand them to someone else
+    if (req.userRole === ROLES.TEACHER && teacherId !== undefined && parseInt(teacherId) !== classItem.teacherId) {
+      return res.status(403).json({ error: 'Teachers cannot reassign their classes' });
+    }
     
     // Prepare data for Prisma - convert empty strings to null and parse integers
     const classData = {
@@ -86,11 +105,16 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       teacherId: teacherId !== undefined ? (teacherId && teacherId !== '' && !isNaN(teacherId) ? parseInt(teacherId) : null) : classItem.teacherId,
       schedule: schedule !== undefined ? (schedule && schedule.trim() !== '' ? schedule.trim() : null) : classItem.schedule,
       capacity: capacity !== undefined ? (capacity && capacity !== '' && !isNaN(capacity) ? parseInt(capacity) : null) : classItem.capacity,
+      schoolId,
+      branchId
     };
     
     const updatedClass = await updateClass(id, classData);
     res.json(updatedClass);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Class code already exists' });
     }
@@ -102,7 +126,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete class - requires admin role
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('DELETE_CLASSES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const classItem = await getClassById(id);
@@ -118,4 +142,22 @@ router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// Gradebook of a class: assessments x students, with weighted averages and
+// letters - students and guardians only get their own rows
+router.get('/:id/gradebook', authenticate, requirePermission('VIEW_GRADES'), async (req, res) => {
+  try {
+    const result = await getGradebook(parseInt(req.params.id));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.gradebook);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attendance registers and assessments of a class
+router.use('/:id/attendance', attendanceRoutes);
+router.use('/:id/assessments', assessmentRoutes);
+
 export default router;
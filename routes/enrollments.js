@@ -10,12 +10,16 @@ import {
   getStudentById,
   getClassById
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher, requireStudent } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
 
 const router = express.Router();
 
-// Get all enrollments - requires teacher or admin role
-router.get('/', authenticate, requireTeacher, async (req, res) => {
+// Students only reach their own enrollments and teachers those of their classes;
+// the storage queries apply these rules (lib/rowAccess.js)
+
+// Get all enrollments the caller may see
+router.get('/', authenticate, requirePermission('VIEW_ENROLLMENTS'), async (req, res) => {
   try {
     const enrollments = await getEnrollments();
     res.json(enrollments);
@@ -24,8 +28,8 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
   }
 });
 
-// Get enrollment by ID - requires authentication
-router.get('/:id', authenticate, requireStudent, async (req, res) => {
+// Get enrollment by ID
+router.get('/:id', authenticate, requirePermission('VIEW_ENROLLMENTS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const enrollment = await getEnrollmentById(id);
@@ -39,7 +43,7 @@ router.get('/:id', authenticate, requireStudent, async (req, res) => {
 });
 
 // Get enrollments by student ID
-router.get('/student/:studentId', async (req, res) => {
+router.get('/student/:studentId', authenticate, requirePermission('VIEW_ENROLLMENTS'), async (req, res) => {
   try {
     const studentId = parseInt(req.params.studentId);
     const student = await getStudentById(studentId);
@@ -58,8 +62,8 @@ router.get('/student/:studentId', async (req, res) => {
   }
 });
 
-// Get enrollments by class ID
-router.get('/class/:classId', async (req, res) => {
+// Get enrollments by class ID - students only see their own enrollment in it
+router.get('/class/:classId', authenticate, requirePermission('VIEW_ENROLLMENTS'), async (req, res) => {
   try {
     const classId = parseInt(req.params.classId);
     const classItem = await getClassById(classId);
@@ -78,8 +82,8 @@ router.get('/class/:classId', async (req, res) => {
   }
 });
 
-// Enroll student in class
-router.post('/', async (req, res) => {
+// Enroll student in class - requires teacher or admin role
+router.post('/', authenticate, requirePermission('CREATE_ENROLLMENTS'), async (req, res) => {
   try {
     const { studentId, classId } = req.body;
     
@@ -90,12 +94,12 @@ router.post('/', async (req, res) => {
     const enrollment = await addEnrollment({ studentId, classId });
     res.status(201).json(enrollment);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
-// Delete enrollment by ID
-router.delete('/:id', async (req, res) => {
+// Delete enrollment by ID - requires teacher or admin role
+router.delete('/:id', authenticate, requirePermission('DELETE_ENROLLMENTS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const enrollment = await getEnrollmentById(id);
@@ -112,7 +116,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Unenroll student from class - requires teacher or admin role
-router.delete('/student/:studentId/class/:classId', authenticate, requireTeacher, async (req, res) => {
+router.delete('/student/:studentId/class/:classId', authenticate, requirePermission('DELETE_ENROLLMENTS'), async (req, res) => {
   try {
     const studentId = parseInt(req.params.studentId);
     const classId = parseInt(req.params.classId);
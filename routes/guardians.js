@@ -0,0 +1,252 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import {
+  getGuardians,
+  getGuardianById,
+  addGuardian,
+  updateGuardian,
+  deleteGuardian,
+  linkGuardianStudent,
+  unlinkGuardianStudent,
+  getStudentById
+} from '../data/storage.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission, authenticatedRoute } from '../middleware/roleCheck.js';
+import { validateUserLink } from '../lib/accountLinks.js';
+import { notifyGuardians } from '../lib/guardians.js';
+import { accessWhere, childTeacherMessages } from '../lib/rowAccess.js';
+import { formatPhoneNumber, validatePhoneNumber } from '../lib/phoneVerification.js';
+
+const router = express.Router();
+
+const MESSAGE_INCLUDE = {
+  sender: { select: { id: true, name: true, email: true } },
+  receiver: { select: { id: true, name: true, email: true } }
+};
+
+/**
+ * Normalize the phone number of a guardian body. Returns an error message or null.
+ */
+const normalizePhone = (body) => {
+  if (body.phoneNumber) {
+    body.phoneNumber = formatPhoneNumber(String(body.phoneNumber));
+    if (!validatePhoneNumber(body.phoneNumber)) {
+      return 'Invalid phone number format';
+    }
+  }
+  return null;
+};
+
+const sendError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.code === 'P2002') {
+    return res.status(400).json({ error: 'Email already exists' });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Get all guardians - admins, teachers for their students' guardians
+router.get('/', authenticate, requirePermission('VIEW_GUARDIANS'), async (req, res) => {
+  try {
+    const guardians = await getGuardians();
+    res.json(guardians);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The caller's own guardian record with their children
+router.get('/me', authenticate, authenticatedRoute, async (req, res) => {
+  try {
+    const guardian = req.guardian && await getGuardianById(req.guardian.id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'No guardian profile is linked to your account' });
+    }
+    res.json(guardian);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Messages between one of the caller's children and their teachers (read-only)
+router.get('/me/children/:studentId/messages', authenticate, requirePermission('VIEW_MESSAGES'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId);
+
+    if (!req.tenant.childIds.includes(studentId)) {
+      return res.status(403).json({ error: 'Access forbidden: You can only view messages of your own children' });
+    }
+
+    const messages = await prisma.message.findMany({
+      where: accessWhere('message', { OR: childTeacherMessages([studentId]) }),
+      include: MESSAGE_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(messages);
+  } catch (error) {
+    console.error('Error fetching child messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Notify the guardians of a student by email/SMS, as each of them prefers
+router.post('/notify', authenticate, requirePermission('NOTIFY_GUARDIANS'), async (req, res) => {
+  try {
+    const { studentId, subject, message } = req.body;
+
+    if (!studentId || !message) {
+      return res.status(400).json({ error: 'Student ID and message are required' });
+    }
+
+    const student = await getStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const results = await notifyGuardians(student.id, {
+      subject: subject || `A message about ${student.name}`,
+      message: String(message).trim()
+    });
+
+    res.json({ studentId: student.id, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get guardian by ID
+router.get('/:id', authenticate, requirePermission('VIEW_GUARDIANS'), async (req, res) => {
+  try {
+    const guardian = await getGuardianById(req.params.id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+    res.json(guardian);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a guardian, optionally with the children: [{ studentId, relationship }].
+// The guardian belongs to { schoolId, branchId } or the active school.
+router.post('/', authenticate, requirePermission('MANAGE_GUARDIANS'), async (req, res) => {
+  try {
+    const { name, email, phoneNumber, preferredContact, students, schoolId, branchId } = req.body;
+    const body = { name, email, phoneNumber, preferredContact, students, schoolId, branchId };
+
+    const phoneError = normalizePhone(body);
+    if (phoneError) {
+      return res.status(400).json({ error: phoneError });
+    }
+
+    if (students !== undefined && (!Array.isArray(students) || students.some((entry) => !entry?.studentId))) {
+      return res.status(400).json({ error: 'students must be a list of { studentId, relationship }' });
+    }
+
+    const guardian = await addGuardian(body);
+    res.status(201).json(guardian);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update a guardian, including the linked login account (userId: null unlinks)
+router.put('/:id', authenticate, requirePermission('MANAGE_GUARDIANS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const guardian = await getGuardianById(id);
+
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    const { name, email, phoneNumber, preferredContact, userId, schoolId, branchId } = req.body;
+    const body = { name, email, phoneNumber, preferredContact, userId, schoolId, branchId };
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    const phoneError = normalizePhone(body);
+    if (phoneError) {
+      return res.status(400).json({ error: phoneError });
+    }
+
+    if (userId) {
+      const linkError = await validateUserLink('guardian', id, parseInt(userId));
+      if (linkError) {
+        return res.status(400).json({ error: linkError });
+      }
+    }
+
+    const updatedGuardian = await updateGuardian(id, body);
+    res.json(updatedGuardian);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a guardian
+router.delete('/:id', authenticate, requirePermission('MANAGE_GUARDIANS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const guardian = await getGuardianById(id);
+
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    await deleteGuardian(id);
+    res.json({ message: 'Guardian deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Link a guardian to a student (or change the relationship)
+router.post('/:id/students', authenticate, requirePermission('MANAGE_GUARDIANS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { studentId, relationship } = req.body;
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const guardian = await getGuardianById(id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    await linkGuardianStudent(id, studentId, relationship);
+    res.status(201).json(await getGuardianById(id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Unlink a guardian from a student
+router.delete('/:id/students/:studentId', authenticate, requirePermission('MANAGE_GUARDIANS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const guardian = await getGuardianById(id);
+
+    if (!guardian) {
+      return res.status(404).json({ error: 'Guardian not found' });
+    }
+
+    const { count } = await unlinkGuardianStudent(id, req.params.studentId);
+    if (count === 0) {
+      return res.status(404).json({ error: 'Student is not linked to this guardian' });
+    }
+
+    res.json({ message: 'Student unlinked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,197 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticate } from '../middleware/auth.js';
+import { ROLES, hasPermission, requirePermission, getRoleNames, canAssignRole } from '../middleware/roleCheck.js';
+import { assignTenant } from '../lib/tenantContext.js';
+import { accessWhere } from '../lib/rowAccess.js';
+import { getTeacherById, getStudentById, getGuardianById } from '../data/storage.js';
+import { formatPhoneNumber, validatePhoneNumber } from '../lib/phoneVerification.js';
+import { createInvitation, invitationStatus, INVITATION_SELECT } from '../lib/invitations.js';
+
+const router = express.Router();
+
+// Get the invitations of the caller's schools - requires admin role
+// Optional filter: ?status=pending|accepted|revoked|expired
+router.get('/', authenticate, requirePermission('MANAGE_INVITATIONS'), async (req, res) => {
+  try {
+    const invitations = await prisma.invitation.findMany({
+      where: accessWhere('invitation'),
+      select: INVITATION_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const result = invitations
+      .map((invitation) => ({ ...invitation, status: invitationStatus(invitation) }))
+      .filter((invitation) => !req.query.status || invitation.status === req.query.status);
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an invitation - requires admin role
+// Only super admins can invite admins and super admins
+// The invitee joins a school with the invited role: the linked teacher's or
+// student's school, else { schoolId, branchId }, else the active school
+router.post('/', authenticate, requirePermission('MANAGE_INVITATIONS'), async (req, res) => {
+  try {
+    const { email, phoneNumber, role, teacherId, studentId, guardianId, schoolId, branchId, expiresInDays } = req.body;
+
+    const validRoles = await getRoleNames();
+    if (!role || !validRoles.includes(role)) {
+      return res.status(400).json({ 
+        error: 'Invalid role',
+        validRoles
+      });
+    }
+
+    if ((role === ROLES.ADMIN || role === ROLES.SUPERADMIN) && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'Only super admins can invite admins'
+      });
+    }
+
+    if (!canAssignRole(req.userRole, role)) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'You cannot invite someone to a role with permissions you do not have'
+      });
+    }
+
+    let normalizedEmail = email ? String(email).toLowerCase().trim() : null;
+    let formattedPhone = null;
+
+    if (phoneNumber) {
+      formattedPhone = formatPhoneNumber(String(phoneNumber));
+      if (!validatePhoneNumber(formattedPhone)) {
+        return res.status(400).json({ error: 'Invalid phone number format' });
+      }
+    }
+
+    // Linked records must exist and match the invited role
+    let linkedRecord = null;
+
+    if (teacherId) {
+      if (role !== ROLES.TEACHER) {
+        return res.status(400).json({ error: 'A teacher record can only be linked to a teacher invitation' });
+      }
+      const teacher = await getTeacherById(teacherId);
+      if (!teacher) {
+        return res.status(404).json({ error: 'Teacher not found' });
+      }
+      if (teacher.userId) {
+        return res.status(400).json({ error: 'Teacher is already linked to a user account' });
+      }
+      normalizedEmail = normalizedEmail || teacher.email.toLowerCase();
+      linkedRecord = teacher;
+    }
+
+    if (studentId) {
+      if (role !== ROLES.STUDENT) {
+        return res.status(400).json({ error: 'A student record can only be linked to a student invitation' });
+      }
+      const student = await getStudentById(studentId);
+      if (!student) {
+        return res.status(404).json({ error: 'Student not found' });
+      }
+      if (student.userId) {
+        return res.status(400).json({ error: 'Student is already linked to a user account' });
+      }
+      normalizedEmail = normalizedEmail || student.email.toLowerCase();
+      linkedRecord = student;
+    }
+
+    if (guardianId) {
+      if (role !== ROLES.GUARDIAN) {
+        return res.status(400).json({ error: 'A guardian record can only be linked to a guardian invitation' });
+      }
+      const guardian = await getGuardianById(guardianId);
+      if (!guardian) {
+        return res.status(404).json({ error: 'Guardian not found' });
+      }
+      if (guardian.userId) {
+        return res.status(400).json({ error: 'Guardian is already linked to a user account' });
+      }
+      normalizedEmail = normalizedEmail || guardian.email;
+      formattedPhone = formattedPhone || guardian.phoneNumber;
+    }
+
+    if (!normalizedEmail && !formattedPhone) {
+      return res.status(400).json({ error: 'Email or phone number is required' });
+    }
+
+    if (linkedRecord?.schoolId && schoolId && parseInt(schoolId) !== linkedRecord.schoolId) {
+      return res.status(400).json({ error: 'The linked record belongs to another school' });
+    }
+
+    // Superadmins are not members of schools
+    const school = role === ROLES.SUPERADMIN
+      ? { schoolId: null, branchId: null }
+      : await assignTenant({
+          schoolId: linkedRecord?.schoolId ?? schoolId,
+          branchId: linkedRecord?.branchId ?? branchId
+        }, { create: true });
+
+    if (normalizedEmail) {
+      const existingUser = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+      if (existingUser) {
+        return res.status(400).json({ error: 'User with this email already exists' });
+      }
+    }
+
+    const result = await createInvitation({
+      email: normalizedEmail,
+      phoneNumber: formattedPhone,
+      role,
+      teacherId: teacherId ? parseInt(teacherId) : null,
+      studentId: studentId ? parseInt(studentId) : null,
+      guardianId: guardianId ? parseInt(guardianId) : null,
+      schoolId: school.schoolId,
+      branchId: school.branchId,
+      expiresInDays,
+      invitedBy: req.user
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { invitation, delivery } = result;
+    res.status(201).json({ ...invitation, status: invitationStatus(invitation), delivery });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an invitation - requires admin role
+router.delete('/:id', authenticate, requirePermission('MANAGE_INVITATIONS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const invitation = await prisma.invitation.findFirst({ where: accessWhere('invitation', { id }) });
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ error: 'Invitation has already been accepted' });
+    }
+
+    await prisma.invitation.update({
+      where: { id },
+      data: { revokedAt: new Date() }
+    });
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -6,23 +6,33 @@ import {
   updateLessonPlan,
   deleteLessonPlan
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
 
 const router = express.Router();
 
+// Teachers own the lesson plans of their linked Teacher record; admins own all
+const ownsLessonPlan = (req, lessonPlan) =>
+  req.userRole !== 'teacher' || (!!req.teacher && lessonPlan.teacherId === req.teacher.id);
+
+const noTeacherProfile = (res) => res.status(403).json({ 
+  error: 'Access forbidden',
+  message: 'No teacher profile is linked to your account'
+});
+
 // Get all lesson plans - Teachers can see their own, Admins can see all
-router.get('/', authenticate, requireTeacher, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_LESSON_PLANS'), async (req, res) => {
   try {
     const filters = {};
     
-    // If user is teacher (not admin), only show their lesson plans
+    // Teachers only see their own lesson plans
     if (req.userRole === 'teacher') {
-      // Get teacher ID from user's email (assuming teacher email matches user email)
-      // Or you can add a userId field to Teacher model
-      // For now, we'll filter by teacherId if provided in query
-      if (req.query.teacherId) {
-        filters.teacherId = parseInt(req.query.teacherId);
+      if (!req.teacher) {
+        return noTeacherProfile(res);
       }
+      filters.teacherId = req.teacher.id;
+    } else if (req.query.teacherId) {
+      filters.teacherId = parseInt(req.query.teacherId);
     }
     
     if (req.query.classId) {
@@ -35,14 +45,6 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
     
     const lessonPlans = await getLessonPlans(filters);
     
-    // If teacher, filter to only their lesson plans
-    // Note: This assumes teacher email matches user email
-    // You may need to adjust this based on your user-teacher relationship
-    if (req.userRole === 'teacher' && !req.query.teacherId) {
-      // For now, return all - you can enhance this by linking User to Teacher
-      // For simplicity, we'll allow teachers to see all but only edit their own
-    }
-    
     res.json(lessonPlans);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -50,7 +52,7 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Get lesson plan by ID - Teachers can see their own, Admins can see all
-router.get('/:id', authenticate, requireTeacher, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('VIEW_LESSON_PLANS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const lessonPlan = await getLessonPlanById(id);
@@ -60,13 +62,8 @@ router.get('/:id', authenticate, requireTeacher, async (req, res) => {
     }
     
     // Teachers can only view their own lesson plans (unless admin)
-    if (req.userRole === 'teacher' && lessonPlan.teacherId !== req.user.id) {
-      // Check if user email matches teacher email
-      // This is a simple check - you may want to link User to Teacher properly
-      const userEmail = req.user.email;
-      if (lessonPlan.teacher.email !== userEmail) {
-        return res.status(403).json({ error: 'Access forbidden: You can only view your own lesson plans' });
-      }
+    if (!ownsLessonPlan(req, lessonPlan)) {
+      return res.status(403).json({ error: 'Access forbidden: You can only view your own lesson plans' });
     }
     
     res.json(lessonPlan);
@@ -76,7 +73,7 @@ router.get('/:id', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Create new lesson plan - Teachers can create their own, Admins can create for any teacher
-router.post('/', authenticate, requireTeacher, async (req, res) => {
+router.post('/', authenticate, requirePermission('CREATE_LESSON_PLANS'), async (req, res) => {
   try {
     const { title, description, subject, classId, teacherId, date, objectives, materials, activities, homework, notes, status } = req.body;
     
@@ -84,22 +81,21 @@ router.post('/', authenticate, requireTeacher, async (req, res) => {
       return res.status(400).json({ error: 'Title and date are required' });
     }
     
-    // Determine teacherId
+    // Teachers always create lesson plans for themselves
     let finalTeacherId = teacherId;
     
-    // If user is teacher, use their teacher ID
-    // For now, we'll require teacherId to be provided
-    // You can enhance this by linking User to Teacher
     if (req.userRole === 'teacher') {
-      // If teacherId is provided and matches user, or if admin provided it, use it
-      // Otherwise, we need to find teacher by user email
-      // For simplicity, require teacherId to be provided
-      if (!finalTeacherId) {
-        return res.status(400).json({ error: 'Teacher ID is required' });
+      if (!req.teacher) {
+        return noTeacherProfile(res);
       }
-      
-      // Verify teacher owns this (unless admin)
-      // This check can be enhanced when User-Teacher relationship is established
+      if (teacherId && parseInt(teacherId) !== req.teacher.id) {
+        return res.status(403).json({ error: 'Access forbidden: You can only create your own lesson plans' });
+      }
+      finalTeacherId = req.teacher.id;
+    }
+    
+    if (!finalTeacherId) {
+      return res.status(400).json({ error: 'Teacher ID is required' });
     }
     
     const lessonPlanData = {
@@ -120,12 +116,15 @@ router.post('/', authenticate, requireTeacher, async (req, res) => {
     const lessonPlan = await addLessonPlan(lessonPlanData);
     res.status(201).json(lessonPlan);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update lesson plan - Teachers can update their own, Admins can update any
-router.put('/:id', authenticate, requireTeacher, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('UPDATE_LESSON_PLANS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const lessonPlan = await getLessonPlanById(id);
@@ -135,11 +134,8 @@ router.put('/:id', authenticate, requireTeacher, async (req, res) => {
     }
     
     // Teachers can only update their own lesson plans (unless admin)
-    if (req.userRole === 'teacher') {
-      const userEmail = req.user.email;
-      if (lessonPlan.teacher.email !== userEmail) {
-        return res.status(403).json({ error: 'Access forbidden: You can only update your own lesson plans' });
-      }
+    if (!ownsLessonPlan(req, lessonPlan)) {
+      return res.status(403).json({ error: 'Access forbidden: You can only update your own lesson plans' });
     }
     
     const { title, description, subject, classId, date, objectives, materials, activities, homework, notes, status } = req.body;
@@ -161,12 +157,15 @@ router.put('/:id', authenticate, requireTeacher, async (req, res) => {
     const updatedLessonPlan = await updateLessonPlan(id, lessonPlanData);
     res.json(updatedLessonPlan);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Delete lesson plan - Teachers can delete their own, Admins can delete any
-router.delete('/:id', authenticate, requireTeacher, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('DELETE_LESSON_PLANS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const lessonPlan = await getLessonPlanById(id);
@@ -176,11 +175,8 @@ router.delete('/:id', authenticate, requireTeacher, async (req, res) => {
     }
     
     // Teachers can only delete their own lesson plans (unless admin)
-    if (req.userRole === 'teacher') {
-      const userEmail = req.user.email;
-      if (lessonPlan.teacher.email !== userEmail) {
-        return res.status(403).json({ error: 'Access forbidden: You can only delete your own lesson plans' });
-      }
+    if (!ownsLessonPlan(req, lessonPlan)) {
+      return res.status(403).json({ error: 'Access forbidden: You can only delete your own lesson plans' });
     }
     
     await deleteLessonPlan(id);
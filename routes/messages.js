@@ -1,25 +1,33 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
-import { authenticate, requireStudent } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { accessWhere } from '../lib/rowAccess.js';
 
 const router = express.Router();
 
-// Get all messages for a user (both sent and received) - requires authentication
-router.get('/', authenticate, requireStudent, async (req, res) => {
+const notYourMessages = (res) => res.status(403).json({ 
+  error: 'Access forbidden',
+  message: 'You can only access your own messages'
+});
+
+// Get all messages of the caller (both sent and received)
+// ?userId is optional and must be the caller's own id
+router.get('/', authenticate, requirePermission('VIEW_MESSAGES'), async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId);
+    const userId = req.query.userId ? parseInt(req.query.userId) : req.userId;
     
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (userId !== req.userId) {
+      return notYourMessages(res);
     }
 
     const messages = await prisma.message.findMany({
-      where: {
+      where: accessWhere('message', {
         OR: [
           { senderId: userId },
           { receiverId: userId }
         ]
-      },
+      }),
       include: {
         sender: {
           select: {
@@ -48,8 +56,8 @@ router.get('/', authenticate, requireStudent, async (req, res) => {
   }
 });
 
-// Get conversation between two users
-router.get('/conversation', async (req, res) => {
+// Get conversation between two users - the caller must be one of them
+router.get('/conversation', authenticate, requirePermission('VIEW_MESSAGES'), async (req, res) => {
   try {
     const userId1 = parseInt(req.query.userId1);
     const userId2 = parseInt(req.query.userId2);
@@ -58,8 +66,12 @@ router.get('/conversation', async (req, res) => {
       return res.status(400).json({ error: 'Both user IDs are required' });
     }
 
+    if (userId1 !== req.userId && userId2 !== req.userId) {
+      return notYourMessages(res);
+    }
+
     const messages = await prisma.message.findMany({
-      where: {
+      where: accessWhere('message', {
         OR: [
           {
             senderId: userId1,
@@ -70,7 +82,7 @@ router.get('/conversation', async (req, res) => {
             receiverId: userId1
           }
         ]
-      },
+      }),
       include: {
         sender: {
           select: {
@@ -99,16 +111,20 @@ router.get('/conversation', async (req, res) => {
   }
 });
 
-// Get unread messages count for a user
-router.get('/unread/:userId', async (req, res) => {
+// Get unread messages count for the caller
+router.get('/unread/:userId', authenticate, requirePermission('VIEW_MESSAGES'), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
 
+    if (userId !== req.userId) {
+      return notYourMessages(res);
+    }
+
     const count = await prisma.message.count({
-      where: {
+      where: accessWhere('message', {
         receiverId: userId,
         read: false
-      }
+      })
     });
 
     res.json({ count });
@@ -118,13 +134,18 @@ router.get('/unread/:userId', async (req, res) => {
   }
 });
 
-// Create a new message
-router.post('/', async (req, res) => {
+// Create a new message - requires authentication, the sender is always the caller
+router.post('/', authenticate, requirePermission('CREATE_MESSAGES'), async (req, res) => {
   try {
-    const { senderId, receiverId, content } = req.body;
+    const { receiverId, content } = req.body;
+    const senderId = req.body.senderId || req.userId;
+
+    if (!receiverId || !content) {
+      return res.status(400).json({ error: 'Receiver ID and content are required' });
+    }
 
-    if (!senderId || !receiverId || !content) {
-      return res.status(400).json({ error: 'Sender ID, receiver ID, and content are required' });
+    if (parseInt(senderId) !== req.userId) {
+      return res.status(403).json({ error: 'Access forbidden: You can only send messages as yourself' });
     }
 
     const message = await prisma.message.create({
@@ -158,11 +179,21 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Mark message as read
-router.put('/:id/read', async (req, res) => {
+// Mark message as read - only its receiver can
+router.put('/:id/read', authenticate, requirePermission('VIEW_MESSAGES'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
+    const existing = await prisma.message.findFirst({ where: accessWhere('message', { id }) });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (existing.receiverId !== req.userId) {
+      return notYourMessages(res);
+    }
+
     const message = await prisma.message.update({
       where: { id },
       data: { read: true },
@@ -191,11 +222,21 @@ router.put('/:id/read', async (req, res) => {
   }
 });
 
-// Delete a message
-router.delete('/:id', async (req, res) => {
+// Delete a message - admins can delete any message, everyone else only messages they sent
+router.delete('/:id', authenticate, requirePermission('DELETE_MESSAGES', { allowOwn: true }), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
+    const message = await prisma.message.findFirst({ where: accessWhere('message', { id }) });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (req.ownOnly && message.senderId !== req.userId) {
+      return notYourMessages(res);
+    }
+
     await prisma.message.delete({
       where: { id }
     });
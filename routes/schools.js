@@ -4,14 +4,41 @@ import {
   getSchoolById,
   addSchool,
   updateSchool,
-  deleteSchool
+  deleteSchool,
+  getSchoolMembers,
+  getSchoolMember,
+  addSchoolMember,
+  updateSchoolMember,
+  removeSchoolMember
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { ROLES, hasPermission, requirePermission, getRoleNames, canAssignRole } from '../middleware/roleCheck.js';
+import { getGradeScale, setGradeScale } from '../lib/gradebook.js';
 
 const router = express.Router();
 
+// Admin memberships can only be handed out or changed by MANAGE_ADMINS, like admin accounts
+const ADMIN_ROLES = [ROLES.SUPERADMIN, ROLES.ADMIN];
+
+/**
+ * Check a membership role the caller wants to assign. Returns { error, status } or null.
+ */
+async function checkMemberRole(req, role) {
+  const validRoles = (await getRoleNames()).filter((name) => name !== ROLES.SUPERADMIN);
+  if (!validRoles.includes(role)) {
+    return { error: `Invalid role. Must be one of: ${validRoles.join(', ')}`, status: 400 };
+  }
+  if (ADMIN_ROLES.includes(role) && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+    return { error: 'Access forbidden: Only super admins can make school admins', status: 403 };
+  }
+  if (!canAssignRole(req.userRole, role)) {
+    return { error: 'Access forbidden: You cannot give members permissions you do not have', status: 403 };
+  }
+  return null;
+}
+
 // Get all schools - requires teacher or admin role
-router.get('/', authenticate, requireTeacher, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_SCHOOLS'), async (req, res) => {
   try {
     const schools = await getSchools();
     res.json(schools);
@@ -21,7 +48,7 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Get school by ID
-router.get('/:id', authenticate, requireTeacher, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('VIEW_SCHOOLS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const school = await getSchoolById(id);
@@ -35,7 +62,7 @@ router.get('/:id', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Create new school
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
   try {
     const { name, code, address, phone, email, principal, description } = req.body;
     
@@ -78,7 +105,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Update school
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const school = await getSchoolById(id);
@@ -112,7 +139,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete school
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const school = await getSchoolById(id);
@@ -123,6 +150,145 @@ router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
     
     await deleteSchool(id);
     res.json({ message: 'School deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2003') {
+      return res.status(409).json({ error: 'School still has students, teachers or classes. Move or delete them first' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the members of a school
+router.get('/:id/members', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const school = await getSchoolById(id);
+
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    const members = await getSchoolMembers(id);
+    res.json(members);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a user to a school with a role (and optionally limit them to one branch)
+router.post('/:id/members', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { userId, role, branchId } = req.body;
+
+    if (!userId || !role) {
+      return res.status(400).json({ error: 'User ID and role are required' });
+    }
+
+    const school = await getSchoolById(id);
+    if (!school) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+
+    const roleError = await checkMemberRole(req, role);
+    if (roleError) {
+      return res.status(roleError.status).json({ error: roleError.error });
+    }
+
+    const member = await addSchoolMember({ schoolId: id, userId, role, branchId });
+    res.status(201).json(member);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'User is already a member of this school' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a member's role or branch
+router.put('/:id/members/:userId', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+    const { role, branchId } = req.body;
+
+    const member = await getSchoolMember(id, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (ADMIN_ROLES.includes(member.role) && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+      return res.status(403).json({ error: 'Access forbidden: Only super admins can change school admins' });
+    }
+
+    if (role && role !== member.role) {
+      const roleError = await checkMemberRole(req, role);
+      if (roleError) {
+        return res.status(roleError.status).json({ error: roleError.error });
+      }
+    }
+
+    const updatedMember = await updateSchoolMember(id, userId, { role, branchId });
+    res.json(updatedMember);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a user from a school
+router.delete('/:id/members/:userId', authenticate, requirePermission('MANAGE_SCHOOLS'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+
+    const member = await getSchoolMember(id, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (ADMIN_ROLES.includes(member.role) && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+      return res.status(403).json({ error: 'Access forbidden: Only super admins can remove school admins' });
+    }
+
+    await removeSchoolMember(id, userId);
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The school's letter-grade scale (the default one until it is changed)
+router.get('/:id/grade-scale', authenticate, requirePermission('VIEW_GRADES'), async (req, res) => {
+  try {
+    const result = await getGradeScale(parseInt(req.params.id));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.scale);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the grade scale with { bands: [{ letter, min }] }, or go back to the
+// default with { bands: null }
+router.put('/:id/grade-scale', authenticate, requirePermission('MANAGE_GRADE_SCALES'), async (req, res) => {
+  try {
+    if (req.body.bands === undefined) {
+      return res.status(400).json({ error: 'bands is required' });
+    }
+
+    const result = await setGradeScale(parseInt(req.params.id), req.body.bands);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.scale);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -6,12 +6,16 @@ import {
   updateStudent,
   deleteStudent
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { validateUserLink } from '../lib/accountLinks.js';
+import { getStudentAttendance, parseDateRange } from '../lib/attendance.js';
+import { getStudentGrades } from '../lib/gradebook.js';
 
 const router = express.Router();
 
 // Get all students - requires teacher or admin role
-router.get('/', authenticate, requireTeacher, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_STUDENTS'), async (req, res) => {
   try {
     const students = await getStudents();
     res.json(students);
@@ -20,10 +24,13 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
   }
 });
 
-// Get student by ID - requires teacher or admin role
-router.get('/:id', authenticate, requireTeacher, async (req, res) => {
+// Get student by ID - teachers and admins, or students for their own record
+router.get('/:id', authenticate, requirePermission('VIEW_STUDENTS', { allowOwn: true }), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
+    if (req.ownOnly && req.student?.id !== id) {
+      return res.status(403).json({ error: 'Access forbidden: You can only view your own student record' });
+    }
     const student = await getStudentById(id);
     if (!student) {
       return res.status(404).json({ error: 'Student not found' });
@@ -34,10 +41,49 @@ router.get('/:id', authenticate, requireTeacher, async (req, res) => {
   }
 });
 
+// Attendance of a student across their classes (?from=&to=) - teachers for
+// their students, students for themselves, guardians for their children
+router.get('/:id/attendance', authenticate, requirePermission('VIEW_ATTENDANCE'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { range, error } = parseDateRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const student = await getStudentById(id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const attendance = await getStudentAttendance(id, { range });
+    res.json({ student: { id: student.id, name: student.name }, ...attendance });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Grades of a student in each of their classes - teachers for their classes,
+// students for themselves, guardians for their children
+router.get('/:id/grades', authenticate, requirePermission('VIEW_GRADES'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const student = await getStudentById(id);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const classes = await getStudentGrades(id);
+    res.json({ student: { id: student.id, name: student.name }, classes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create new student - requires admin role
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('CREATE_STUDENTS'), async (req, res) => {
   try {
-    const { name, email, age, grade } = req.body;
+    const { name, email, age, grade, schoolId, branchId } = req.body;
     
     // Validation
     if (!name || !email) {
@@ -48,6 +94,8 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
     const studentData = {
       name: String(name).trim(),
       email: String(email).trim(),
+      schoolId,
+      branchId
     };
     
     // Handle age - only add if it's a valid number
@@ -78,6 +126,11 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       return next(error);
     }
     
+    // School/branch assignment errors
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
     // Handle Prisma-specific errors
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Email already exists' });
@@ -108,7 +161,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Update student - requires admin role
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('UPDATE_STUDENTS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const student = await getStudentById(id);
@@ -117,7 +170,15 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Student not found' });
     }
     
-    const { name, email, age, grade } = req.body;
+    const { name, email, age, grade, userId, schoolId, branchId } = req.body;
+    
+    // Link or unlink the login account (userId: null unlinks)
+    if (userId) {
+      const linkError = await validateUserLink('student', id, parseInt(userId));
+      if (linkError) {
+        return res.status(400).json({ error: linkError });
+      }
+    }
     
     // Prepare data for Prisma - convert empty strings to null and parse age to integer
     const studentData = {
@@ -125,11 +186,17 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       email: email ? email.trim() : student.email,
       age: age !== undefined && age !== '' && !isNaN(age) ? parseInt(age) : (age === '' ? null : student.age),
       grade: grade !== undefined ? (grade && grade.trim() !== '' ? grade.trim() : null) : student.grade,
+      userId: userId !== undefined ? (userId ? parseInt(userId) : null) : student.userId,
+      schoolId,
+      branchId
     };
     
     const updatedStudent = await updateStudent(id, studentData);
     res.json(updatedStudent);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Email already exists' });
     }
@@ -141,7 +208,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete student - requires admin role
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('DELETE_STUDENTS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const student = await getStudentById(id);
@@ -1,16 +1,25 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import bcrypt from 'bcryptjs';
-import { authenticate, requireSuperAdmin, authorize } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { ROLES, PERMISSIONS, requirePermission, getRoleNames } from '../middleware/roleCheck.js';
+import { listRoles, getRole, createRole, updateRole, deleteRole } from '../lib/roles.js';
+import { unlockAccount, getLoginAttempts } from '../lib/accountLockout.js';
+import { disableTwoFactor } from '../lib/twoFactor.js';
+import { revokeAllUserSessions } from '../lib/sessions.js';
+import { startImpersonation, endImpersonation, getActiveImpersonations, IMPERSONATION_TTL_MINUTES } from '../lib/impersonation.js';
+import { getAuditLogs } from '../lib/auditLog.js';
+import { revokeApiKey, API_KEY_SELECT } from '../lib/apiKeys.js';
+import { tenantWhere } from '../lib/tenantContext.js';
 
 const router = express.Router();
 
 // Get all users - Role-based access
 // Super Admin: All users
-// Admin: Teachers and Students only
+// Admin: Teachers, students and guardians only
 // Teacher: Students only
 // Student: No access
-router.get('/users/all', authenticate, authorize('superadmin', 'admin', 'teacher'), async (req, res) => {
+router.get('/users/all', authenticate, requirePermission('VIEW_USER_DIRECTORY'), async (req, res) => {
   try {
     const requesterRole = req.userRole;
     const requesterId = req.userId;
@@ -23,10 +32,10 @@ router.get('/users/all', authenticate, authorize('superadmin', 'admin', 'teacher
       // No filter - show all users
       whereClause = {};
     } else if (requesterRole === 'admin') {
-      // Admin: Can see teachers and students only (not other admins/superadmins)
+      // Admin: Can see teachers, students and guardians only (not other admins/superadmins)
       whereClause = {
         role: {
-          in: ['teacher', 'student']
+          in: ['teacher', 'student', 'guardian']
         }
       };
     } else if (requesterRole === 'teacher') {
@@ -42,7 +51,7 @@ router.get('/users/all', authenticate, authorize('superadmin', 'admin', 'teacher
     }
     
     const users = await prisma.user.findMany({
-      where: whereClause,
+      where: tenantWhere('user', whereClause),
       select: {
         id: true,
         email: true,
@@ -50,6 +59,9 @@ router.get('/users/all', authenticate, authorize('superadmin', 'admin', 'teacher
         role: true,
         phoneNumber: true,
         phoneVerified: true,
+        emailVerified: true,
+        lockedUntil: true,
+        lastLoginAt: true,
         createdAt: true,
         updatedAt: true
       },
@@ -65,13 +77,13 @@ router.get('/users/all', authenticate, authorize('superadmin', 'admin', 'teacher
 });
 
 // Change user role - Super Admin only
-router.put('/users/:id/role', authenticate, requireSuperAdmin, async (req, res) => {
+router.put('/users/:id/role', authenticate, requirePermission('CHANGE_ROLES'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     const { role } = req.body;
 
-    // Validate role
-    const validRoles = ['superadmin', 'admin', 'teacher', 'student'];
+    // Validate role (built-in or custom)
+    const validRoles = await getRoleNames();
     if (!validRoles.includes(role)) {
       return res.status(400).json({ 
         error: 'Invalid role',
@@ -115,7 +127,7 @@ router.put('/users/:id/role', authenticate, requireSuperAdmin, async (req, res)
 });
 
 // Promote user to admin - Super Admin only
-router.post('/users/:id/promote-admin', authenticate, requireSuperAdmin, async (req, res) => {
+router.post('/users/:id/promote-admin', authenticate, requirePermission('MANAGE_ADMINS'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
 
@@ -143,14 +155,14 @@ router.post('/users/:id/promote-admin', authenticate, requireSuperAdmin, async (
 });
 
 // Demote admin to regular user - Super Admin only
-router.post('/users/:id/demote', authenticate, requireSuperAdmin, async (req, res) => {
+router.post('/users/:id/demote', authenticate, requirePermission('MANAGE_ADMINS'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     const { role } = req.body;
 
     // Default to student if no role specified
     const newRole = role || 'student';
-    const validRoles = ['teacher', 'student'];
+    const validRoles = (await getRoleNames()).filter((name) => name !== ROLES.SUPERADMIN && name !== ROLES.ADMIN);
     
     if (!validRoles.includes(newRole)) {
       return res.status(400).json({ 
@@ -191,7 +203,7 @@ router.post('/users/:id/demote', authenticate, requireSuperAdmin, async (req, re
 });
 
 // Delete any user - Super Admin only
-router.delete('/users/:id', authenticate, requireSuperAdmin, async (req, res) => {
+router.delete('/users/:id', authenticate, requirePermission('DELETE_USERS'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
 
@@ -218,8 +230,253 @@ router.delete('/users/:id', authenticate, requireSuperAdmin, async (req, res) =>
   }
 });
 
+// Get login attempts for a user - Super Admin only
+router.get('/users/:id/login-attempts', authenticate, requirePermission('VIEW_LOGS'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
+        lastLoginAt: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const attempts = await getLoginAttempts({ userId }, req.query.limit);
+
+    res.json({ user, attempts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get recent login attempts across all users - Super Admin only
+// Optional filters: ?success=false, ?email=, ?limit=
+router.get('/login-attempts', authenticate, requirePermission('VIEW_LOGS'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.success !== undefined) {
+      where.success = req.query.success === 'true';
+    }
+    if (req.query.email) {
+      where.email = String(req.query.email).toLowerCase().trim();
+    }
+
+    const attempts = await getLoginAttempts(where, req.query.limit);
+    res.json(attempts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlock a locked account - Super Admin only
+router.post('/users/:id/unlock', authenticate, requirePermission('MANAGE_SYSTEM'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await unlockAccount(userId);
+
+    res.json({
+      message: 'Account unlocked successfully',
+      user
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset two-factor authentication for a user who lost their device - Super Admin only
+// The user is logged out everywhere and has to enroll again on next login if their role requires it
+router.post('/users/:id/2fa/reset', authenticate, requirePermission('MANAGE_SYSTEM'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await disableTwoFactor(userId);
+    await revokeAllUserSessions(userId, '2fa_reset');
+
+    res.json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Impersonate a user - Super Admin only
+// Returns a short-lived token that acts as the user. DELETE requests and writes to
+// account and privileged endpoints are blocked unless { allowDestructive: true }
+// is passed; every write is audited.
+router.post('/users/:id/impersonate', authenticate, requirePermission('IMPERSONATE_USERS'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { allowDestructive, reason } = req.body;
+
+    // Impersonation is started by a person, never by an API key
+    if (req.apiKey) {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'Impersonation cannot be started with an API key'
+      });
+    }
+
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'Cannot impersonate yourself' });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, name: true, role: true }
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (target.role === 'superadmin') {
+      return res.status(403).json({ 
+        error: 'Access forbidden',
+        message: 'Super admins cannot be impersonated'
+      });
+    }
+
+    const { token, sessionId, expiresAt } = await startImpersonation(req.user, target, {
+      allowDestructive: allowDestructive === true,
+      reason: reason ? String(reason).substring(0, 500) : null
+    }, req);
+
+    res.status(201).json({
+      message: `Impersonating ${target.name}`,
+      token,
+      expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+      expiresAt,
+      impersonation: {
+        sessionId,
+        allowDestructive: allowDestructive === true,
+        user: target,
+        impersonatedBy: { id: req.user.id, name: req.user.name, email: req.user.email }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List active impersonation sessions - Super Admin only
+router.get('/impersonations', authenticate, requirePermission('VIEW_LOGS'), async (req, res) => {
+  try {
+    const sessions = await getActiveImpersonations();
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End an impersonation session - Super Admin only
+router.delete('/impersonations/:sessionId', authenticate, requirePermission('IMPERSONATE_USERS'), async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.sessionId },
+      select: { id: true, userId: true, impersonatorId: true }
+    });
+
+    if (!session || !session.impersonatorId) {
+      return res.status(404).json({ error: 'Impersonation session not found' });
+    }
+
+    const ended = await endImpersonation(session, req);
+    if (!ended) {
+      return res.status(400).json({ error: 'Impersonation session has already ended' });
+    }
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get audit log entries - Super Admin only
+// Optional filters: ?action=, ?actorId=, ?targetUserId=, ?sessionId=, ?limit=
+router.get('/audit-logs', authenticate, requirePermission('VIEW_LOGS'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.action) {
+      where.action = String(req.query.action);
+    }
+    if (req.query.actorId) {
+      where.actorId = parseInt(req.query.actorId);
+    }
+    if (req.query.targetUserId) {
+      where.targetUserId = parseInt(req.query.targetUserId);
+    }
+    if (req.query.sessionId) {
+      where.sessionId = String(req.query.sessionId);
+    }
+
+    const logs = await getAuditLogs(where, req.query.limit);
+    res.json(logs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List API keys of all users - Super Admin only
+// Optional filters: ?userId=, ?active=true
+router.get('/api-keys', authenticate, requirePermission('VIEW_LOGS'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.userId) {
+      where.userId = parseInt(req.query.userId);
+    }
+    if (req.query.active === 'true') {
+      where.revokedAt = null;
+      where.OR = [{ expiresAt: null }, { expiresAt: { gt: new Date() } }];
+    }
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      select: {
+        ...API_KEY_SELECT,
+        user: { select: { id: true, name: true, email: true, role: true } }
+      }
+    });
+
+    res.json(apiKeys);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke any API key - Super Admin only
+router.delete('/api-keys/:id', authenticate, requirePermission('MANAGE_SYSTEM'), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get system statistics - Super Admin only
-router.get('/system/stats', authenticate, requireSuperAdmin, async (req, res) => {
+router.get('/system/stats', authenticate, requirePermission('SYSTEM_SETTINGS'), async (req, res) => {
   try {
     const stats = await Promise.all([
       prisma.user.count(),
@@ -257,7 +514,7 @@ router.get('/system/stats', authenticate, requireSuperAdmin, async (req, res) =>
 });
 
 // Get all admins - Super Admin only
-router.get('/admins', authenticate, requireSuperAdmin, async (req, res) => {
+router.get('/admins', authenticate, requirePermission('MANAGE_ADMINS'), async (req, res) => {
   try {
     const admins = await prisma.user.findMany({
       where: {
@@ -284,5 +541,70 @@ router.get('/admins', authenticate, requireSuperAdmin, async (req, res) => {
   }
 });
 
-export default router;
+// Roles - built-in and custom roles with their permissions
+router.get('/roles', authenticate, requirePermission('MANAGE_ROLES'), async (req, res) => {
+  try {
+    res.json(await listRoles());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Every permission a role can be given
+router.get('/roles/permissions', authenticate, requirePermission('MANAGE_ROLES'), (req, res) => {
+  res.json(Object.keys(PERMISSIONS));
+});
+
+router.get('/roles/:id', authenticate, requirePermission('MANAGE_ROLES'), async (req, res) => {
+  try {
+    const role = await getRole(parseInt(req.params.id));
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    res.json(role);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a custom role - { name, label, description, permissions: [...] }
+router.post('/roles', authenticate, requirePermission('MANAGE_ROLES'), async (req, res) => {
+  try {
+    const result = await createRole(req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json(result.role);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a role's label, description or permissions (the list replaces the current one)
+router.put('/roles/:id', authenticate, requirePermission('MANAGE_ROLES'), async (req, res) => {
+  try {
+    const { label, description, permissions } = req.body;
+    const result = await updateRole(parseInt(req.params.id), { label, description, permissions });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.role);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a custom role (only when no user has it)
+router.delete('/roles/:id', authenticate, requirePermission('MANAGE_ROLES'), async (req, res) => {
+  try {
+    const result = await deleteRole(parseInt(req.params.id));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -6,12 +6,14 @@ import {
   updateTeacher,
   deleteTeacher
 } from '../data/storage.js';
-import { authenticate, requireAdmin, requireTeacher } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { validateUserLink } from '../lib/accountLinks.js';
 
 const router = express.Router();
 
 // Get all teachers - requires teacher or admin role
-router.get('/', authenticate, requireTeacher, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_TEACHERS'), async (req, res) => {
   try {
     const teachers = await getTeachers();
     res.json(teachers);
@@ -21,7 +23,7 @@ router.get('/', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Get teacher by ID - requires teacher or admin role
-router.get('/:id', authenticate, requireTeacher, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('VIEW_TEACHERS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const teacher = await getTeacherById(id);
@@ -35,9 +37,9 @@ router.get('/:id', authenticate, requireTeacher, async (req, res) => {
 });
 
 // Create new teacher - requires admin role
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('CREATE_TEACHERS'), async (req, res) => {
   try {
-    const { name, email, subject, department } = req.body;
+    const { name, email, subject, department, schoolId, branchId } = req.body;
     
     if (!name || !email) {
       return res.status(400).json({ error: 'Name and email are required' });
@@ -49,11 +51,16 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       email: email.trim(),
       subject: subject && subject.trim() !== '' ? subject.trim() : null,
       department: department && department.trim() !== '' ? department.trim() : null,
+      schoolId,
+      branchId
     };
     
     const teacher = await addTeacher(teacherData);
     res.status(201).json(teacher);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Email already exists' });
     }
@@ -62,7 +69,7 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Update teacher - requires admin role
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('UPDATE_TEACHERS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const teacher = await getTeacherById(id);
@@ -71,7 +78,15 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Teacher not found' });
     }
     
-    const { name, email, subject, department } = req.body;
+    const { name, email, subject, department, userId, schoolId, branchId } = req.body;
+    
+    // Link or unlink the login account (userId: null unlinks)
+    if (userId) {
+      const linkError = await validateUserLink('teacher', id, parseInt(userId));
+      if (linkError) {
+        return res.status(400).json({ error: linkError });
+      }
+    }
     
     // Prepare data for Prisma - convert empty strings to null
     const teacherData = {
@@ -79,11 +94,17 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       email: email ? email.trim() : teacher.email,
       subject: subject !== undefined ? (subject && subject.trim() !== '' ? subject.trim() : null) : teacher.subject,
       department: department !== undefined ? (department && department.trim() !== '' ? department.trim() : null) : teacher.department,
+      userId: userId !== undefined ? (userId ? parseInt(userId) : null) : teacher.userId,
+      schoolId,
+      branchId
     };
     
     const updatedTeacher = await updateTeacher(id, teacherData);
     res.json(updatedTeacher);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'Email already exists' });
     }
@@ -92,7 +113,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 });
 
 // Delete teacher - requires admin role
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('DELETE_TEACHERS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const teacher = await getTeacherById(id);
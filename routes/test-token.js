@@ -1,16 +1,15 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import { signToken, verifyToken, getSigningKeyInfo } from '../lib/tokenService.js';
+import { publicRoute } from '../middleware/roleCheck.js';
 
 const router = express.Router();
 
-// Test endpoint to verify JWT_SECRET is set
-router.get('/test-auth', (req, res) => {
-  const jwtSecret = process.env.JWT_SECRET;
-  
+// Test endpoint to verify a signing key is configured
+router.get('/test-auth', publicRoute, (req, res) => {
   res.json({
     message: 'Auth Configuration Test',
-    jwtSecretSet: !!jwtSecret,
-    jwtSecretLength: jwtSecret ? jwtSecret.length : 0,
+    jwtKeysConfigured: !!(process.env.JWT_KEYS || process.env.JWT_KEYS_FILE || process.env.JWT_SECRET),
+    signingKey: getSigningKeyInfo(),
     environment: process.env.NODE_ENV || 'development',
     isProduction: process.env.NODE_ENV === 'production',
     timestamp: new Date().toISOString()
@@ -18,21 +17,19 @@ router.get('/test-auth', (req, res) => {
 });
 
 // Test token generation and verification
-router.post('/test-token', (req, res) => {
+router.post('/test-token', publicRoute, (req, res) => {
   try {
-    const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-    
-    // Create test token
-    const testPayload = { userId: 1, email: 'test@example.com', role: 'admin' };
-    const token = jwt.sign(testPayload, secret, { expiresIn: '7d' });
+    // Create test token (purpose-bound, so it can never be used as an access token)
+    const testPayload = { userId: 1, email: 'test@example.com', role: 'admin', purpose: 'test' };
+    const token = signToken(testPayload, { expiresIn: '5m' });
     
     // Verify it immediately
-    const decoded = jwt.verify(token, secret);
+    const decoded = verifyToken(token);
     
     res.json({
       success: true,
       message: 'Token generation and verification working',
-      jwtSecretSet: !!process.env.JWT_SECRET,
+      signingKey: getSigningKeyInfo(),
       tokenGenerated: !!token,
       tokenVerified: !!decoded,
       decoded: decoded
@@ -41,7 +38,7 @@ router.post('/test-token', (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message,
-      jwtSecretSet: !!process.env.JWT_SECRET
+      signingKey: getSigningKeyInfo()
     });
   }
 });
@@ -1,14 +1,22 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import bcrypt from 'bcryptjs';
-import { authenticate, requireAdmin, requireSuperAdmin, authorizeOwnerOrAdmin } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { ROLES, hasPermission, requirePermission, getRoleNames, canAssignRole } from '../middleware/roleCheck.js';
+import { validatePassword } from '../lib/passwordPolicy.js';
+import { revokeAllUserSessions } from '../lib/sessions.js';
+import { tenantWhere, assignTenant, getTenantContext } from '../lib/tenantContext.js';
 
 const router = express.Router();
 
+// Admin and superadmin accounts can only be created or changed by MANAGE_ADMINS
+const ADMIN_ROLES = [ROLES.SUPERADMIN, ROLES.ADMIN];
+
 // Get all users - requires admin role
-router.get('/', authenticate, requireAdmin, async (req, res) => {
+router.get('/', authenticate, requirePermission('VIEW_USERS'), async (req, res) => {
   try {
     const users = await prisma.user.findMany({
+      where: tenantWhere('user'),
       select: {
         id: true,
         email: true,
@@ -28,12 +36,16 @@ router.get('/', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// Get user by ID
-router.get('/:id', async (req, res) => {
+// Get user by ID - admins, or the user themselves
+router.get('/:id', authenticate, requirePermission('VIEW_USERS', { allowOwn: true }), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const user = await prisma.user.findUnique({
-      where: { id },
+
+    if (req.ownOnly && id !== req.userId) {
+      return res.status(403).json({ error: 'Access forbidden: You can only view your own account' });
+    }
+    const user = await prisma.user.findFirst({
+      where: tenantWhere('user', { id }),
       select: {
         id: true,
         email: true,
@@ -55,15 +67,33 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create user
-router.post('/', async (req, res) => {
+// Create user - requires admin role
+router.post('/', authenticate, requirePermission('CREATE_USERS'), async (req, res) => {
   try {
-    const { email, password, name, role } = req.body;
+    const { email, password, name, role = ROLES.STUDENT } = req.body;
 
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name are required' });
     }
 
+    const validRoles = await getRoleNames();
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${validRoles.join(', ')}` });
+    }
+
+    if (ADMIN_ROLES.includes(role) && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+      return res.status(403).json({ error: 'Access forbidden: Only super admins can create admin accounts' });
+    }
+
+    if (!canAssignRole(req.userRole, role)) {
+      return res.status(403).json({ error: 'Access forbidden: You cannot create users with permissions you do not have' });
+    }
+
+    const passwordCheck = validatePassword(password, { email, name });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordCheck.errors });
+    }
+
     // Normalize email
     const normalizedEmail = email.toLowerCase().trim();
 
@@ -79,13 +109,20 @@ router.post('/', async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
+    // New users join a school with their role: { schoolId, branchId } or the
+    // active school. Superadmins are not members of schools.
+    const { schoolId, branchId } = role === ROLES.SUPERADMIN
+      ? {}
+      : await assignTenant({ schoolId: req.body.schoolId, branchId: req.body.branchId }, { create: true });
+
     // Create user
     const user = await prisma.user.create({
       data: {
         email: normalizedEmail,
         password: hashedPassword,
         name,
-        role: role || 'user'
+        role,
+        ...(schoolId && { memberships: { create: { schoolId, branchId, role } } })
       },
       select: {
         id: true,
@@ -99,6 +136,9 @@ router.post('/', async (req, res) => {
 
     res.status(201).json(user);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating user:', error);
     if (error.code === 'P2002') {
       return res.status(400).json({ error: 'User with this email already exists' });
@@ -107,21 +147,46 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update user
-router.put('/:id', async (req, res) => {
+// Update user - admins, or the user themselves (name only; email and password
+// changes go through /api/auth/me and /api/auth/change-password)
+router.put('/:id', authenticate, requirePermission('UPDATE_USERS', { allowOwn: true }), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const { email, password, name, role } = req.body;
 
+    if (req.ownOnly && (id !== req.userId || email || password || role)) {
+      return res.status(403).json({ error: 'Access forbidden: You can only change your own name here' });
+    }
+
     // Check if user exists
-    const existingUser = await prisma.user.findUnique({
-      where: { id }
+    const existingUser = await prisma.user.findFirst({
+      where: tenantWhere('user', { id })
     });
 
     if (!existingUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (ADMIN_ROLES.includes(existingUser.role) && existingUser.id !== req.userId && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+      return res.status(403).json({ error: 'Access forbidden: Only super admins can edit admin accounts' });
+    }
+
+    if (role && role !== existingUser.role) {
+      if (!hasPermission(req.userRole, 'CHANGE_ROLES')) {
+        return res.status(403).json({ error: 'Access forbidden: Only super admins can change roles' });
+      }
+      const validRoles = await getRoleNames();
+      if (!validRoles.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Must be one of: ${validRoles.join(', ')}` });
+      }
+      if (ADMIN_ROLES.includes(role) && !hasPermission(req.userRole, 'MANAGE_ADMINS')) {
+        return res.status(403).json({ error: 'Access forbidden: Only super admins can grant admin roles' });
+      }
+      if (!canAssignRole(req.userRole, role)) {
+        return res.status(403).json({ error: 'Access forbidden: You cannot grant a role with permissions you do not have' });
+      }
+    }
+
     // Prepare update data
     const updateData = {};
     
@@ -142,12 +207,19 @@ router.put('/:id', async (req, res) => {
     if (name) updateData.name = name;
     if (role) updateData.role = role;
     if (password) {
+      const passwordCheck = validatePassword(password, {
+        email: updateData.email || existingUser.email,
+        name: updateData.name || existingUser.name
+      });
+      if (!passwordCheck.valid) {
+        return res.status(400).json({ error: 'Password does not meet requirements', details: passwordCheck.errors });
+      }
       updateData.password = await bcrypt.hash(password, 10);
     }
 
     // Update user
-    const user = await prisma.user.update({
-      where: { id },
+    const userUpdate = prisma.user.update({
+      where: tenantWhere('user', { id }),
       data: updateData,
       select: {
         id: true,
@@ -159,6 +231,26 @@ router.put('/:id', async (req, res) => {
       }
     });
 
+    // A school membership's role replaces the account role, so a role change
+    // also applies to the user's memberships in the caller's schools
+    const context = getTenantContext();
+    const membershipUpdate = role && role !== ROLES.SUPERADMIN
+      ? [prisma.schoolMembership.updateMany({
+          where: {
+            userId: id,
+            ...(!context.unrestricted && { schoolId: { in: context.memberships.map((entry) => entry.schoolId) } })
+          },
+          data: { role }
+        })]
+      : [];
+
+    const [user] = await prisma.$transaction([userUpdate, ...membershipUpdate]);
+
+    // A new password signs the user out everywhere (but the caller's own session)
+    if (password) {
+      await revokeAllUserSessions(id, 'password_change', id === req.userId ? req.sessionId : null);
+    }
+
     res.json(user);
   } catch (error) {
     console.error('Error updating user:', error);
@@ -170,13 +262,13 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete user - requires super admin role
-router.delete('/:id', authenticate, requireSuperAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('DELETE_USERS'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
 
     // Check if user exists
-    const user = await prisma.user.findUnique({
-      where: { id }
+    const user = await prisma.user.findFirst({
+      where: tenantWhere('user', { id })
     });
 
     if (!user) {
@@ -185,7 +277,7 @@ router.delete('/:id', authenticate, requireSuperAdmin, async (req, res) => {
 
     // Delete user
     await prisma.user.delete({
-      where: { id }
+      where: tenantWhere('user', { id })
     });
 
     res.status(204).send();
@@ -0,0 +1,64 @@
+// Move records from before multi-tenancy into a school.
+// Run once after `prisma db push` adds the school columns:
+//   node scripts/assign-school.js --school <code> [--dry-run]
+// Students, teachers, classes and guardians without a school are assigned to it,
+// and every user without a membership (except superadmins) becomes a member with
+// their current role. Until then unassigned records are only visible to
+// superadmins and users without a membership.
+
+import prisma from '../lib/prisma.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const codeIndex = process.argv.indexOf('--school');
+const schoolCode = codeIndex !== -1 ? process.argv[codeIndex + 1] : null;
+
+async function main() {
+  try {
+    if (!schoolCode) {
+      console.error('Usage: node scripts/assign-school.js --school <code> [--dry-run]');
+      process.exit(1);
+    }
+
+    const school = await prisma.school.findUnique({ where: { code: schoolCode } });
+    if (!school) {
+      console.error(`❌ No school with code "${schoolCode}"`);
+      await prisma.$disconnect();
+      process.exit(1);
+    }
+
+    for (const [model, label] of [['student', 'Students'], ['teacher', 'Teachers'], ['class', 'Classes'], ['guardian', 'Guardians']]) {
+      const where = { schoolId: null };
+      const count = dryRun
+        ? await prisma[model].count({ where })
+        : (await prisma[model].updateMany({ where, data: { schoolId: school.id } })).count;
+      console.log(`🏫 ${label} assigned to ${school.name}: ${count}`);
+    }
+
+    const users = await prisma.user.findMany({
+      where: { memberships: { none: {} }, role: { not: 'superadmin' } },
+      select: { id: true, role: true }
+    });
+
+    if (!dryRun && users.length > 0) {
+      await prisma.schoolMembership.createMany({
+        data: users.map((user) => ({ userId: user.id, schoolId: school.id, role: user.role })),
+        skipDuplicates: true
+      });
+    }
+    console.log(`👥 Users added as members: ${users.length}`);
+
+    if (dryRun) {
+      console.log('ℹ️  Dry run - nothing was changed');
+    }
+
+    await prisma.$disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Assigning records failed!');
+    console.error('Error:', error.message);
+    await prisma.$disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
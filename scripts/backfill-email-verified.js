@@ -0,0 +1,48 @@
+// Mark the emails of existing users as verified.
+// Run once after `prisma db push` adds the emailVerified column, before setting
+// EMAIL_VERIFICATION_POLICY to restrict or required - otherwise every account
+// created before the upgrade is treated as unverified:
+//   node scripts/backfill-email-verified.js [--before=2026-01-31] [--dry-run]
+// --before only marks users created before that date, so accounts that signed
+// up after the upgrade still have to verify. emailVerifiedAt is left empty, which
+// tells backfilled accounts apart from ones that verified.
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+const beforeArg = process.argv.find((arg) => arg.startsWith('--before='));
+
+async function main() {
+  try {
+    const before = beforeArg ? new Date(beforeArg.slice('--before='.length)) : null;
+    if (before && isNaN(before.getTime())) {
+      throw new Error(`Invalid --before date "${beforeArg.slice('--before='.length)}"`);
+    }
+
+    if (dryRun) {
+      console.log('🔍 Dry run - no changes will be written');
+    }
+
+    const where = {
+      emailVerified: false,
+      ...(before && { createdAt: { lt: before } })
+    };
+
+    const count = dryRun
+      ? await prisma.user.count({ where })
+      : (await prisma.user.updateMany({ where, data: { emailVerified: true } })).count;
+
+    console.log(`✅ ${count} user${count === 1 ? '' : 's'} marked as verified${before ? ` (created before ${before.toISOString().slice(0, 10)})` : ''}`);
+
+    await prisma.$disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed!');
+    console.error('Error:', error.message);
+    await prisma.$disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,72 @@
+// Link existing Teacher and Student records to User accounts by email.
+// Run once after `prisma db push` adds the userId columns:
+//   node scripts/backfill-user-links.js [--dry-run]
+// Records that are already linked, have no matching user, or whose user is
+// already linked to another record are left alone and reported.
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function backfill(model, label) {
+  const records = await prisma[model].findMany({
+    where: { userId: null },
+    select: { id: true, email: true }
+  });
+
+  let linked = 0;
+  let unmatched = 0;
+  let conflicts = 0;
+
+  for (const record of records) {
+    const user = await prisma.user.findFirst({
+      where: { email: { equals: record.email.trim(), mode: 'insensitive' } },
+      select: { id: true, email: true, [model]: { select: { id: true } } }
+    });
+
+    if (!user) {
+      unmatched++;
+      continue;
+    }
+
+    if (user[model]) {
+      console.warn(`⚠️  ${label} ${record.id} (${record.email}): user ${user.id} is already linked to ${label} ${user[model].id}`);
+      conflicts++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await prisma[model].update({
+        where: { id: record.id },
+        data: { userId: user.id }
+      });
+    }
+
+    console.log(`🔗 ${label} ${record.id} (${record.email}) -> user ${user.id}`);
+    linked++;
+  }
+
+  console.log(`✅ ${label}s: ${linked} linked, ${unmatched} without a matching user, ${conflicts} conflicts`);
+}
+
+async function main() {
+  try {
+    if (dryRun) {
+      console.log('🔍 Dry run - no changes will be written');
+    }
+
+    await backfill('teacher', 'Teacher');
+    await backfill('student', 'Student');
+
+    await prisma.$disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed!');
+    console.error('Error:', error.message);
+    await prisma.$disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,115 @@
+// Minimal OpenID Connect issuer for local development and tests of the SSO flow.
+// It signs in a fixed user without asking (authorization code + PKCE, RS256).
+//
+//   node scripts/mock-oidc-issuer.js
+//
+// Then configure the API with:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4010
+//   OIDC_MOCK_CLIENT_ID=class-management
+//
+// Environment (all optional):
+//   MOCK_OIDC_PORT            - default 4010
+//   MOCK_OIDC_SUB             - subject of the signed-in user (default mock-user-1)
+//   MOCK_OIDC_EMAIL           - default teacher@example.com
+//   MOCK_OIDC_NAME            - default Mock Teacher
+//   MOCK_OIDC_EMAIL_VERIFIED  - default true
+// A single login can override the user with login_hint=<email> on /authorize.
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes, single use
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+
+  const email = login_hint || process.env.MOCK_OIDC_EMAIL || 'teacher@example.com';
+  const code = crypto.randomBytes(24).toString('base64url');
+
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    user: {
+      sub: login_hint ? `mock-${email}` : process.env.MOCK_OIDC_SUB || 'mock-user-1',
+      email,
+      email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+      name: process.env.MOCK_OIDC_NAME || 'Mock Teacher'
+    },
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, client_id, redirect_uri, code_verifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+  if (entry.clientId !== client_id || entry.redirectUri !== redirect_uri || entry.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client, redirect URI or PKCE verifier mismatch' });
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.user, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer, audience: client_id, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`🔐 Mock OIDC issuer running at ${issuer}`);
+});
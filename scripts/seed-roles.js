@@ -0,0 +1,36 @@
+// Create the built-in roles (superadmin, admin, teacher, student, guardian) in
+// the roles table from the PERMISSIONS matrix in middleware/roleCheck.js.
+// Run after `prisma db push` adds the tables, and again after upgrades that add
+// permissions:
+//   node scripts/seed-roles.js [--reset]
+// --reset sets the built-in roles' permissions back to the defaults.
+// Until this has run the API uses the matrix directly.
+
+import prisma from '../lib/prisma.js';
+import { seedRoles } from '../lib/roles.js';
+
+const reset = process.argv.includes('--reset');
+
+async function main() {
+  try {
+    const summary = await seedRoles({ reset });
+
+    console.log(`✅ Roles created: ${summary.created.join(', ') || 'none'}`);
+    if (summary.granted.length > 0) {
+      console.log(`🔑 New permissions granted: ${summary.granted.join(', ')}`);
+    }
+    if (summary.reset.length > 0) {
+      console.log(`♻️  Reset to defaults: ${summary.reset.join(', ')}`);
+    }
+
+    await prisma.$disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Seeding roles failed!');
+    console.error('Error:', error.message);
+    await prisma.$disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();